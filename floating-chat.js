@@ -58,9 +58,32 @@
  * @property {number} [inputShadowIntensity] - Input area shadow intensity (0.0–1.0, falls back to windowShadowIntensity)
  * @property {string|HTMLElement} [container] - CSS selector or element for inline mode mount target (default: script's parent element)
  * @property {boolean} [showModelInfo] - Display model name in UI
+ * @property {Object<string, string>} [toolLabels] - Status text per tool name, e.g. { search_documents: "Searching course materials…" }. `tool` events may also carry their own `label`.
+ * @property {boolean} [showReasoning] - Show the model's reasoning in a collapsible "Thinking…" section above answers (default: false)
+ * @property {boolean} [showUsage] - Show tokens, latency and time to first token in a footer under each answer (default: false). The figures are stored with each history entry either way.
  * @property {number} [maxHistoryTokens] - Token budget for conversation history
+ * @property {boolean} [summarizeHistory] - Fold older turns into a running synopsis, sent as a leading system message, instead of cutting them to their first sentence (default: false)
+ * @property {string} [summaryEndpoint] - Endpoint for summary requests, in the same format as chat requests (default: the proxy's /summarize next to apiEndpoint; apiEndpoint with transport "openai" or "mock")
+ * @property {Tokenizer} [tokenizer] - Counts tokens for `model` instead of a tokenizer registered with UniversalChatWidget.registerTokenizer() or the bundled estimator; either way calibrated against reported prompt tokens
  * @property {number} [alwaysKeepRecentMessages] - Recent messages to keep uncompressed
  * @property {number} [maxHistoryMessages] - Maximum stored messages
+ * @property {boolean} [allowThreads] - Show a conversation list in the header for creating, renaming, switching and deleting separate threads (default: false)
+ * @property {boolean} [allowRegenerate] - Offer to regenerate the last answer; every version is kept and can be flipped through (default: false)
+ * @property {boolean} [allowEdit] - Let students edit an earlier question and resend it; the conversation forks and the branches can be flipped through (default: false)
+ * @property {boolean} [allowExport] - Show an export menu in the header for saving the conversation as Markdown, JSON or a printable HTML page, and importing exported JSON (default: false)
+ * @property {"session"|"local"|"indexeddb"|Object} [storage] - Where the conversation is kept: "session" (default, per tab), "local" or "indexeddb" (kept across visits and synced between open tabs), or a custom adapter with get(key), set(key, value) and remove(key)
+ * @property {string} [storageKey] - Key the state is stored under (default: "universalChatState_chat-<n>", n counting the widgets on the page); set it to keep a conversation when the page layout changes
+ * @property {number} [maxStorageSize] - Max characters of stored state; the oldest messages are left out of the stored copy beyond it
+ * @property {boolean} [encryptStorage] - Encrypt the stored state with AES-GCM under a per-device key kept non-extractable in IndexedDB; without WebCrypto (plain http) nothing is stored (default: false)
+ * @property {number} [historyTTL] - Milliseconds after the last save at which stored state is discarded instead of restored (default: no expiry)
+ * @property {boolean} [allowForgetDevice] - Show a header action that deletes the stored conversations and the device key (default: false)
+ * @property {boolean|Object} [retry] - Automatic retry of 429/5xx responses (default: off). `true` uses defaults, or pass { maxAttempts, baseDelay, maxDelay } (ms). A Retry-After header longer than maxDelay is not waited out.
+ * @property {function(): (string|Promise<string>)} [getAuthToken] - Returns a token sent as `Authorization: Bearer <token>` with every chat request
+ * @property {function(): (string|void|Promise<string|void>)} [refreshAuthToken] - Called once after a 401; the request is then replayed with the returned token (or a fresh getAuthToken() result)
+ * @property {ChatMiddleware[]} [middleware] - Ordered request/response hooks, run in both streaming and non-streaming paths (see also widget.use())
+ * @property {"proxy"|"openai"|"mock"} [transport] - Wire format of apiEndpoint: "proxy" (default) for the bundled backend, "openai" to call an OpenAI-compatible /v1/chat/completions endpoint (vLLM, Ollama, OpenWebUI) directly, or "mock" to answer locally without any server
+ * @property {Object} [mock] - Settings for transport "mock": { replies, firstByteDelay, chunkDelay }. `replies` is a list of MockReply (one per request, cycled) or a function(requestBody) returning one; without it a demo reply is generated.
+ * @property {number} [streamIdleTimeout] - Milliseconds without any stream data (heartbeats included) before a streamed answer counts as stalled; 0 disables (default: 30000)
  * @property {boolean} [debug] - Enable debug logging
  */
 
@@ -79,6 +102,41 @@
  * @property {Object<string, Object>} [metadata] - Metadata by citation number
  */
 
+/**
+ * @typedef {Object} MockReply
+ * A plain string is shorthand for { content }.
+ * @property {string} [content] - Answer text; markdown, math and [n] citations are rendered as usual
+ * @property {string} [reasoning] - Reasoning streamed before the answer
+ * @property {Array<string|{name: string, label: string}>} [tools] - Tool steps announced before the answer
+ * @property {Object[]} [sources] - Sources in the proxy's format ({ source, document, metadata }), cited as [1], [2], …
+ * @property {number} [status] - Fail the request with this HTTP status, e.g. 429 or 500
+ * @property {number} [retryAfter] - Retry-After seconds sent with a failing status
+ * @property {boolean} [stall] - Go silent halfway through the answer without closing the stream
+ * @property {string} [error] - Send a stream `error` event halfway through the answer
+ * @property {number} [firstByteDelay] - Overrides the transport's delay before the response starts
+ * @property {number} [chunkDelay] - Overrides the transport's delay between streamed chunks
+ * @property {string} [finishReason] - Reported finish reason (default "stop"); "length" simulates a cut-off answer
+ * @property {number} [promptTokens] - Reported prompt token count, e.g. to exercise tokenizer calibration
+ */
+
+/**
+ * @typedef {Object} ChatRequest
+ * @property {string} url - Endpoint the request is sent to
+ * @property {Object<string, string>} headers - Request headers
+ * @property {Object} body - JSON body as built by ChatAPI._buildBody()
+ * @property {boolean} stream - Whether the response is an SSE stream
+ */
+
+/**
+ * @typedef {Object} ChatMiddleware
+ * Every hook is optional. Hooks run in array order; returning nothing keeps
+ * the value passed in (in-place changes are fine).
+ * @property {function(ChatRequest): (ChatRequest|void|Promise<ChatRequest|void>)} [beforeRequest] - Adjust url, headers or body before sending. Throwing aborts the send.
+ * @property {function(Response, ChatRequest): (Response|void|Promise<Response|void>)} [afterResponse] - Inspect or replace the HTTP response before it is read
+ * @property {function({type: string, data: string, id: string}, ChatRequest): (Object|null|void)} [onStreamEvent] - Inspect or replace a decoded SSE event; return null to drop it
+ * @property {function(Error, ChatRequest): (Error|void)} [onError] - Observe or replace an error before the widget reports it
+ */
+
 /**
  * Timing constants for animations and delays (in milliseconds)
  */
@@ -92,6 +150,15 @@ const TIMINGS = {
   PREVIEW_TIMEOUT: 5000, // Message preview display time
   PULSE_ANIMATION: 1500, // Pulse animation duration
   REQUEST_TIMEOUT: 60000, // Default request timeout
+  RETRY_BASE_DELAY: 1000, // First automatic retry backoff
+  RETRY_MAX_DELAY: 30000, // Cap on retry backoff and honoured Retry-After
+  STREAM_RESUME_DELAY: 1000, // Wait before reconnecting a dropped stream
+  STREAM_IDLE_TIMEOUT: 30000, // Silence between stream chunks treated as a stall
+  MOCK_FIRST_BYTE_DELAY: 400, // Mock transport: wait before the response starts
+  MOCK_CHUNK_DELAY: 40, // Mock transport: wait between streamed chunks
+  TAB_FLUSH_GRACE: 500, // Wait after another tab's answer before sending the shared outbox here
+  REMOTE_SENDING_EXPIRY: 120000, // Without Web Locks, stop waiting on another tab's answer after this
+  CLEAR_UNDO_GRACE: 8000, // How long a cleared chat can be restored
   WELCOME_DELAY_MIN: 1000, // Min delay before welcome message
   WELCOME_DELAY_RANGE: 2000, // Random range added to welcome delay
 };
@@ -127,7 +194,15 @@ const LIMITS = {
   MAX_HEADINGS_LENGTH: 100, // Max heading string length
   MIN_CITATION_LENGTH: 15, // Min citation text length
   MODEL_NAME_LENGTH: 50, // Max model name length
-  CHARS_PER_TOKEN: 4, // Approximate chars per token
+  CHARS_PER_TOKEN: 4, // Approximate chars per subword token in long words
+  RETRY_MAX_ATTEMPTS: 3, // Default attempts per send when retry is enabled
+  MAX_STORAGE_SIZE: 1000000, // Max characters of persisted state; oldest messages are dropped beyond it
+  THREAD_TITLE_LENGTH: 60, // Max thread title length, also used for titles taken from the first message
+  STREAM_RESUME_ATTEMPTS: 3, // Reconnects per drop before giving up on a stream
+  SUMMARY_BATCH: 6, // Older messages collected before the synopsis is updated
+  TOKEN_CALIBRATION_SAMPLES: 20, // Recent (estimate, reported) prompt sizes kept per model
+  TOKEN_FACTOR_MIN: 0.5, // Bounds of the calibrated token factor
+  TOKEN_FACTOR_MAX: 3,
 };
 
 /**
@@ -152,12 +227,46 @@ const TRANSLATIONS = {
     send: "Send",
     clearChat: "Clear chat",
     clearChatHistory: "Clear chat history",
+    chatCleared: "Chat cleared",
+    undo: "Undo",
+    undoClearAriaLabel: "Restore the cleared conversation",
+    forgetDevice: "Forget this device",
+    forgetDeviceAriaLabel: "Delete the conversations stored on this device",
+    forgetDeviceConfirm: "Delete all conversations stored on this device? This cannot be undone.",
+    threads: "Conversations",
+    threadsAriaLabel: "Show conversations",
+    newThread: "New conversation",
+    renameThread: "Rename",
+    renameThreadAriaLabel: "Rename conversation: {title}",
+    deleteThread: "Delete",
+    deleteThreadAriaLabel: "Delete conversation: {title}",
+    confirmDeleteThread: "Delete?",
+    exportChat: "Export",
+    exportAriaLabel: "Export or import the conversation",
+    exportMarkdown: "Markdown (.md)",
+    exportJSON: "JSON, re-importable (.json)",
+    exportHTML: "Printable page (.html)",
+    importJSON: "Import JSON…",
+    importFailed: "This file could not be imported. Choose a JSON file exported from this chat.",
+    exportedAt: "Exported {date}",
+    editMessage: "Edit",
+    editMessageAriaLabel: "Edit and resend this message",
+    editMessageInput: "Edited message",
+    resendMessage: "Send",
+    cancelEdit: "Cancel",
+    branchNav: "Versions of this turn",
+    previousBranch: "Previous version",
+    nextBranch: "Next version",
+    branchPosition: "{current}/{total}",
+    regenerate: "Regenerate",
+    regenerateAriaLabel: "Generate another answer; the current one is kept",
     minimize: "Minimize",
     closeChat: "Close chat",
     copyCode: "Copy code",
     references: "References:",
     retry: "↻ Retry",
     retrying: "Retrying...",
+    retryingIn: "Retrying in {seconds}s…",
     retryAriaLabel: "Retry sending message",
     senderYou: "You",
     senderAssistant: "Assistant",
@@ -170,6 +279,28 @@ const TRANSLATIONS = {
     errorClient: "❌ Invalid request. Please try again.",
     errorUnknown: "Something went wrong. Please try again.",
     errorStreamLost: "Connection lost during response.",
+    stop: "Stop",
+    stopAriaLabel: "Stop generating the response",
+    responseStopped: "Response stopped.",
+    errorStreamStalled: "The response stalled.",
+    responseStalled: "Response stalled. Continue?",
+    continueResponse: "Continue",
+    continueAriaLabel: "Continue the stalled response",
+    responseCutOff: "The answer was cut off. Continue?",
+    usageTokens: "{count} tokens",
+    usageTokenSplit: "{prompt} in, {completion} out",
+    usageLatency: "{seconds} s total",
+    usageFirstToken: "{seconds} s to first token",
+    toolRunning: "Using {name}…",
+    toolTrace: "Steps ({count})",
+    thinking: "Thinking…",
+    reasoningDone: "Thought process",
+    pendingMessage: "Waiting for connection…",
+    cancelPending: "Cancel",
+    cancelPendingAriaLabel: "Cancel this pending message",
+    continuePrompt: "Your previous answer was cut off. Continue it exactly where it stopped, without repeating anything.",
+    summaryPrompt: "Update the summary of this conversation so far, for your own use as context later on. Keep the student's questions and goals, definitions, model formulations and equations (as LaTeX), code, results and open points; keep formulas and code verbatim. Leave out greetings and repetition. Reply with the summary only, at most 400 words.",
+    summaryContext: "Summary of the earlier conversation:\n\n{summary}",
     charLimit: `Maximum ${LIMITS.MAX_MESSAGE_LENGTH} characters`,
     keyboardHints: "Keyboard shortcuts: Enter to send, Shift+Enter for new line, Escape to close chat",
     inputAriaLabel: "Type your message. Press Enter to send, Shift+Enter for new line",
@@ -196,12 +327,46 @@ const TRANSLATIONS = {
     send: "Senden",
     clearChat: "Chat löschen",
     clearChatHistory: "Chatverlauf löschen",
+    chatCleared: "Chat gelöscht",
+    undo: "Rückgängig",
+    undoClearAriaLabel: "Die gelöschte Unterhaltung wiederherstellen",
+    forgetDevice: "Dieses Gerät vergessen",
+    forgetDeviceAriaLabel: "Die auf diesem Gerät gespeicherten Unterhaltungen löschen",
+    forgetDeviceConfirm: "Alle auf diesem Gerät gespeicherten Unterhaltungen löschen? Dies kann nicht rückgängig gemacht werden.",
+    threads: "Unterhaltungen",
+    threadsAriaLabel: "Unterhaltungen anzeigen",
+    newThread: "Neue Unterhaltung",
+    renameThread: "Umbenennen",
+    renameThreadAriaLabel: "Unterhaltung umbenennen: {title}",
+    deleteThread: "Löschen",
+    deleteThreadAriaLabel: "Unterhaltung löschen: {title}",
+    confirmDeleteThread: "Löschen?",
+    exportChat: "Exportieren",
+    exportAriaLabel: "Unterhaltung exportieren oder importieren",
+    exportMarkdown: "Markdown (.md)",
+    exportJSON: "JSON, wieder importierbar (.json)",
+    exportHTML: "Druckbare Seite (.html)",
+    importJSON: "JSON importieren…",
+    importFailed: "Diese Datei konnte nicht importiert werden. Wählen Sie eine aus diesem Chat exportierte JSON-Datei.",
+    exportedAt: "Exportiert am {date}",
+    editMessage: "Bearbeiten",
+    editMessageAriaLabel: "Diese Nachricht bearbeiten und erneut senden",
+    editMessageInput: "Bearbeitete Nachricht",
+    resendMessage: "Senden",
+    cancelEdit: "Abbrechen",
+    branchNav: "Versionen dieses Beitrags",
+    previousBranch: "Vorherige Version",
+    nextBranch: "Nächste Version",
+    branchPosition: "{current}/{total}",
+    regenerate: "Neu generieren",
+    regenerateAriaLabel: "Eine andere Antwort erzeugen; die bisherige bleibt erhalten",
     minimize: "Minimieren",
     closeChat: "Chat schließen",
     copyCode: "Code kopieren",
     references: "Referenzen:",
     retry: "↻ Erneut versuchen",
     retrying: "Wird wiederholt...",
+    retryingIn: "Neuer Versuch in {seconds} s…",
     retryAriaLabel: "Nachricht erneut senden",
     senderYou: "Sie",
     senderAssistant: "Assistent",
@@ -214,6 +379,28 @@ const TRANSLATIONS = {
     errorClient: "❌ Ungültige Anfrage. Bitte versuchen Sie es erneut.",
     errorUnknown: "Etwas ist schiefgelaufen. Bitte versuchen Sie es erneut.",
     errorStreamLost: "Verbindung während der Antwort verloren.",
+    stop: "Stopp",
+    stopAriaLabel: "Antwortgenerierung abbrechen",
+    responseStopped: "Antwort abgebrochen.",
+    errorStreamStalled: "Die Antwort ist ins Stocken geraten.",
+    responseStalled: "Antwort ins Stocken geraten. Fortsetzen?",
+    continueResponse: "Fortsetzen",
+    continueAriaLabel: "Unterbrochene Antwort fortsetzen",
+    responseCutOff: "Die Antwort wurde abgeschnitten. Fortsetzen?",
+    usageTokens: "{count} Tokens",
+    usageTokenSplit: "{prompt} ein, {completion} aus",
+    usageLatency: "{seconds} s gesamt",
+    usageFirstToken: "{seconds} s bis zum ersten Token",
+    toolRunning: "Verwende {name}…",
+    toolTrace: "Schritte ({count})",
+    thinking: "Denkt nach…",
+    reasoningDone: "Gedankengang",
+    pendingMessage: "Wartet auf Verbindung…",
+    cancelPending: "Verwerfen",
+    cancelPendingAriaLabel: "Diese wartende Nachricht verwerfen",
+    continuePrompt: "Deine vorherige Antwort wurde unterbrochen. Setze sie genau dort fort, wo sie aufgehört hat, ohne etwas zu wiederholen.",
+    summaryPrompt: "Aktualisiere die Zusammenfassung dieser Unterhaltung, damit du sie später als Kontext nutzen kannst. Behalte die Fragen und Ziele der Studierenden, Definitionen, Modellformulierungen und Gleichungen (als LaTeX), Code, Ergebnisse und offene Punkte; übernimm Formeln und Code wörtlich. Lass Begrüßungen und Wiederholungen weg. Antworte nur mit der Zusammenfassung, höchstens 400 Wörter.",
+    summaryContext: "Zusammenfassung der bisherigen Unterhaltung:\n\n{summary}",
     charLimit: `Maximal ${LIMITS.MAX_MESSAGE_LENGTH} Zeichen`,
     keyboardHints: "Tastenkürzel: Enter zum Senden, Umschalt+Enter für neue Zeile, Escape zum Schließen",
     inputAriaLabel: "Nachricht eingeben. Enter zum Senden, Umschalt+Enter für neue Zeile",
@@ -528,6 +715,351 @@ function _renderSimpleMarkdown(text) {
   );
 }
 
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * Storage backend over sessionStorage or localStorage
+ */
+class WebStorageAdapter {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  async get(key) {
+    return this.storage.getItem(key);
+  }
+
+  async set(key, value) {
+    this.storage.setItem(key, value);
+  }
+
+  async remove(key) {
+    this.storage.removeItem(key);
+  }
+
+  async keys() {
+    return Object.keys(this.storage);
+  }
+}
+
+/**
+ * Storage backend over IndexedDB, for histories too large for localStorage
+ */
+class IndexedDBAdapter {
+  constructor(dbName = "universalChat", storeName = "state") {
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this._db = null;
+  }
+
+  async get(key) {
+    const result = await this._request("readonly", (store) => store.get(key));
+    return result ?? null;
+  }
+
+  async set(key, value) {
+    await this._request("readwrite", (store) => store.put(value, key));
+  }
+
+  async remove(key) {
+    await this._request("readwrite", (store) => store.delete(key));
+  }
+
+  async keys() {
+    return this._request("readonly", (store) => store.getAllKeys());
+  }
+
+  /**
+   * Opens the database once, creating the object store on first use
+   */
+  _open() {
+    if (!this._db) {
+      this._db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this._db;
+  }
+
+  /**
+   * Runs a single request in its own transaction
+   */
+  async _request(mode, operation) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const request = operation(db.transaction(this.storeName, mode).objectStore(this.storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+}
+
+/**
+ * Wraps a storage backend so values are stored encrypted with AES-GCM. The
+ * key is generated once per device and kept non-extractable in IndexedDB;
+ * the stored text is unreadable without it.
+ */
+class EncryptedStorage {
+  static PREFIX = "aesgcm:";
+
+  constructor(storage, keyStore = new IndexedDBAdapter("universalChatKeys", "keys")) {
+    this.storage = storage;
+    this._keyStore = keyStore;
+    this._key = null;
+  }
+
+  /**
+   * Whether WebCrypto and IndexedDB are available; WebCrypto needs a secure
+   * context (https or localhost)
+   */
+  static isSupported() {
+    return Boolean(window.crypto?.subtle && window.indexedDB);
+  }
+
+  async get(key) {
+    const stored = await this.storage.get(key);
+    if (stored == null) return null;
+    // State saved before encryption was turned on is read once and
+    // encrypted on the next save
+    if (!stored.startsWith(EncryptedStorage.PREFIX)) return stored;
+    const bytes = _base64ToBytes(stored.slice(EncryptedStorage.PREFIX.length));
+    const plain = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: bytes.subarray(0, 12) },
+      await this._deviceKey(),
+      bytes.subarray(12),
+    );
+    return new TextDecoder().decode(plain);
+  }
+
+  async set(key, value) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const cipher = await crypto.subtle.encrypt(
+      { name: "AES-GCM", iv },
+      await this._deviceKey(),
+      new TextEncoder().encode(value),
+    );
+    const bytes = new Uint8Array(iv.length + cipher.byteLength);
+    bytes.set(iv);
+    bytes.set(new Uint8Array(cipher), iv.length);
+    await this.storage.set(key, EncryptedStorage.PREFIX + _bytesToBase64(bytes));
+  }
+
+  async remove(key) {
+    await this.storage.remove(key);
+  }
+
+  async keys() {
+    return typeof this.storage.keys === "function" ? this.storage.keys() : [];
+  }
+
+  /**
+   * Deletes the device key. Anything stored with it can no longer be read.
+   */
+  async forgetKey() {
+    this._key = null;
+    await this._keyStore.remove("deviceKey");
+  }
+
+  /**
+   * Loads the device key, creating it on first use. Tabs create it under a
+   * lock where available, so they agree on one key.
+   */
+  _deviceKey() {
+    if (!this._key) {
+      const load = async () => {
+        let key = await this._keyStore.get("deviceKey");
+        if (!key) {
+          key = await crypto.subtle.generateKey({ name: "AES-GCM", length: 256 }, false, ["encrypt", "decrypt"]);
+          await this._keyStore.set("deviceKey", key);
+        }
+        return key;
+      };
+      this._key = navigator.locks ? navigator.locks.request("universalChatDeviceKey", load) : load();
+      // A failed load is retried on the next call
+      this._key.catch(() => { this._key = null; });
+    }
+    return this._key;
+  }
+}
+
+/**
+ * Base64 of a byte array, in chunks to stay within argument limits
+ */
+function _bytesToBase64(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Byte array of a base64 string
+ */
+function _base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * Resolves the `storage` option to an adapter. Custom adapters provide
+ * get(key), set(key, value) and remove(key), sync or async, and optionally
+ * keys() to let state stored under an older key be found.
+ */
+function _createStorage(storage) {
+  if (storage && typeof storage === "object") return storage;
+  try {
+    if (storage === "local") return new WebStorageAdapter(window.localStorage);
+    if (storage === "indexeddb" && window.indexedDB) return new IndexedDBAdapter();
+  } catch (e) {
+    // localStorage access throws when blocked by browser settings
+    console.warn("Chat Widget: Storage unavailable, falling back to sessionStorage:", e.message);
+  }
+  return new WebStorageAdapter(window.sessionStorage);
+}
+
+// ============================================================================
+// TOKENIZATION
+// ============================================================================
+
+/**
+ * @typedef {Object} Tokenizer
+ * @property {function(string): number} count - Number of tokens in a text
+ */
+
+/**
+ * Bundled token estimator. Splits text the way BPE pre-tokenizers do (words
+ * with their leading space, digit runs, symbol runs, whitespace) and prices
+ * each piece: short words are one token, long and non-ASCII words are split
+ * into subwords, and symbols such as LaTeX commands or code operators are
+ * counted individually rather than averaged away.
+ */
+class BPEEstimator {
+  /**
+   * Estimated number of tokens in `text`
+   */
+  count(text) {
+    if (!text || typeof text !== "string") return 0;
+    let tokens = 0;
+    for (const [piece] of text.matchAll(/ ?\p{L}+| ?\p{N}+| ?[^\s\p{L}\p{N}]+|\s+/gu)) {
+      const word = piece.trimStart();
+      if (!word) {
+        // Newlines and indentation; a single space merges into the next word
+        tokens += Math.ceil(piece.length / 4);
+      } else if (/^\p{L}/u.test(word)) {
+        // Letters outside ASCII (umlauts, Greek) rarely share a merge
+        const nonAscii = word.replace(/[A-Za-z]/g, "").length;
+        tokens += 1 + Math.floor(Math.max(0, word.length - 3) / LIMITS.CHARS_PER_TOKEN) + Math.ceil(nonAscii / 2);
+      } else if (/^\p{N}/u.test(word)) {
+        tokens += Math.ceil(word.length / 3);
+      } else {
+        tokens += Math.ceil(word.length / 2);
+      }
+    }
+    return tokens;
+  }
+}
+
+/**
+ * Counts tokens for one model: with its registered tokenizer or the bundled
+ * estimator, scaled by a factor fitted to the prompt token counts the server
+ * reports. The fit is a least-squares line through (estimate, reported)
+ * samples, so the constant overhead of a server-side system prompt ends up
+ * in the intercept rather than in the factor.
+ */
+class TokenCounter {
+  static _registry = new Map();
+
+  /**
+   * Registers a tokenizer for a model name, or for every model starting with
+   * a prefix given as e.g. "mistral-*"
+   */
+  static register(model, tokenizer) {
+    if (!model || typeof tokenizer?.count !== "function") {
+      throw new TypeError("registerTokenizer(model, tokenizer) needs a model name and a tokenizer with count(text)");
+    }
+    TokenCounter._registry.set(model, tokenizer);
+  }
+
+  /**
+   * The tokenizer registered for `model` (exact name first, then the longest
+   * matching prefix), or the bundled estimator
+   */
+  static tokenizerFor(model) {
+    const registry = TokenCounter._registry;
+    if (registry.has(model)) return registry.get(model);
+    const prefix = [...registry.keys()]
+      .filter((key) => key.endsWith("*") && String(model).startsWith(key.slice(0, -1)))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? registry.get(prefix) : new BPEEstimator();
+  }
+
+  constructor(model, tokenizer = null, samples = []) {
+    this.model = model;
+    this.tokenizer = tokenizer || TokenCounter.tokenizerFor(model);
+    this.samples = samples;
+    this.factor = this._fit();
+  }
+
+  /**
+   * Calibrated token count of `text`
+   */
+  count(text) {
+    return Math.ceil(this.estimate(text) * this.factor);
+  }
+
+  /**
+   * Uncalibrated token count of `text`, as the tokenizer reports it
+   */
+  estimate(text) {
+    if (!text || typeof text !== "string") return 0;
+    try {
+      return this.tokenizer.count(text) || 0;
+    } catch (e) {
+      console.warn("Chat Widget: Tokenizer failed, using the bundled estimator:", e.message);
+      this.tokenizer = new BPEEstimator();
+      return this.tokenizer.count(text);
+    }
+  }
+
+  /**
+   * Records the estimate of a request against the prompt tokens the server
+   * reported for it. Returns the updated samples.
+   */
+  calibrate(estimated, reported) {
+    this.samples = [...this.samples, [estimated, reported]].slice(-LIMITS.TOKEN_CALIBRATION_SAMPLES);
+    this.factor = this._fit();
+    return this.samples;
+  }
+
+  /**
+   * Slope of the least-squares line through the samples, within
+   * TOKEN_FACTOR_MIN..MAX. Stays 1 until the requests differ enough in size.
+   */
+  _fit() {
+    const n = this.samples.length;
+    if (n < 3) return 1;
+    const meanX = this.samples.reduce((sum, [x]) => sum + x, 0) / n;
+    const meanY = this.samples.reduce((sum, [, y]) => sum + y, 0) / n;
+    let covariance = 0;
+    let variance = 0;
+    this.samples.forEach(([x, y]) => {
+      covariance += (x - meanX) * (y - meanY);
+      variance += (x - meanX) ** 2;
+    });
+    // Requests of nearly the same size say nothing about the slope
+    if (variance < n * (meanX * 0.1) ** 2) return 1;
+    return Math.min(LIMITS.TOKEN_FACTOR_MAX, Math.max(LIMITS.TOKEN_FACTOR_MIN, covariance / variance));
+  }
+}
+
 // ============================================================================
 // STATE MANAGEMENT
 // ============================================================================
@@ -536,23 +1068,41 @@ function _renderSimpleMarkdown(text) {
  * Centralized state management with persistence
  */
 class ChatState {
+  static SCHEMA_VERSION = 1;
+
+  /**
+   * Upgrades of stored state, in order: entry i turns version i into i + 1.
+   * State saved before the schema was versioned counts as version 0.
+   */
+  static MIGRATIONS = [
+    // 0 → 1: fields added over time get their defaults, and state saved
+    // before threads existed becomes the current thread
+    (state) => ({ ...ChatState.savedDefaults(), ...state }),
+  ];
+
   constructor(options = {}) {
     this._state = {
       isOpen: false,
-      history: [],
       unreadCount: 0,
-      hasInteracted: false,
-      traceId: null,
-      sessionId: null,
       lastFailedMessage: null,
       isSending: false,
-      privateMode: false,
+      ...ChatState.savedDefaults(),
     };
     this._listeners = new Set();
     this._options = options;
-    this._storageKey = this._options._instanceId
-      ? `universalChatState_${this._options._instanceId}`
-      : "universalChatState";
+    this._storageKey = this._options._storageKey || "universalChatState";
+    this._storage = _createStorage(options.storage);
+    // Without WebCrypto nothing is stored rather than plaintext
+    this._persist = !options.encryptStorage || EncryptedStorage.isSupported();
+    if (!this._persist) {
+      console.warn("Chat Widget: Encrypted storage needs WebCrypto and IndexedDB; the conversation will not be stored");
+    } else if (options.encryptStorage) {
+      this._storage = new EncryptedStorage(this._storage);
+    }
+    this._lastWrite = Promise.resolve();
+    this._channel = null;
+    this._applyingRemote = false;
+    this._tabId = Math.random().toString(36).slice(2);
   }
 
   get(key) {
@@ -579,170 +1129,1083 @@ class ChatState {
   }
 
   /**
-   * Saves state to sessionStorage
+   * Saves state to the storage backend and shares it with other tabs.
+   * Writes are chained so they land in order on async backends.
    */
   save() {
+    // State received from another tab is already stored
+    if (this._applyingRemote || !this._persist) return this._lastWrite;
+
     const stateToSave = {
       history: this._state.history,
       hasInteracted: this._state.hasInteracted,
       traceId: this._state.traceId,
       sessionId: this._state.sessionId,
       privateMode: this._state.privateMode,
+      outbox: this._state.outbox,
+      summary: this._state.summary,
+      thread: this._state.thread,
+      threads: this._state.threads,
+      tokenSamples: this._state.tokenSamples,
     };
 
     if (this._options.debug) {
       console.log("Client saving state with traceId:", this._state.traceId, "sessionId:", this._state.sessionId);
     }
 
-    sessionStorage.setItem(this._storageKey, JSON.stringify(stateToSave));
+    const serialized = this._serialize({
+      ...this._withoutPrivate(stateToSave),
+      schemaVersion: ChatState.SCHEMA_VERSION,
+      savedAt: Date.now(),
+    });
+    this._lastWrite = this._lastWrite
+      .then(() => this._storage.set(this._storageKey, serialized))
+      .catch((e) => console.warn("Chat Widget: Failed to save state:", e.message));
+    this.postToTabs({ type: "state", state: stateToSave });
+    return this._lastWrite;
   }
 
   /**
-   * Restores state from sessionStorage
+   * The state to store, without messages sent or answered in private mode.
+   * A synopsis covering such a message is dropped. Each branch of a fork is
+   * filtered on its own and kept unless its first message is private; when
+   * that drops the branch being shown, the newest remaining one is shown.
    */
-  restore() {
-    const saved = sessionStorage.getItem(this._storageKey);
-    if (saved) {
-      try {
-        const state = JSON.parse(saved);
-        this.update({
-          history: state.history || [],
-          hasInteracted: state.hasInteracted || false,
-          traceId: state.traceId || null,
-          sessionId: state.sessionId || null,
-          privateMode: state.privateMode || false,
-        });
-
-        if (this._options.debug) {
-          console.log(
-            "Client restored traceId from sessionStorage:",
-            this._state.traceId,
-            "sessionId:",
-            this._state.sessionId,
-          );
-        }
+  _withoutPrivate(stateToSave) {
+    const hasPrivate = (messages) => messages.some((msg) => msg.private);
+    const keep = (messages) => {
+      const index = messages.findIndex((msg) => msg.variants);
+      if (index === -1) return messages.filter((msg) => !msg.private);
+      const { variants, variant, ...first } = messages[index];
+      const branches = variants
+        .map((branch, i) => (i === variant ? [first, ...messages.slice(index + 1)] : branch))
+        .filter((branch) => !branch[0].private)
+        .map(keep);
+      const before = messages.slice(0, index).filter((msg) => !msg.private);
+      if (branches.length === 0) return [...before, ...keep(messages.slice(index + 1))];
+      if (branches.length === 1) return [...before, ...branches[0]];
+      const current = branches.findIndex((branch) => branch[0] === first);
+      const shown = current === -1 ? branches.length - 1 : current;
+      const [head, ...rest] = branches[shown];
+      return [
+        ...before,
+        { ...head, variants: branches.map((b, i) => (i === shown ? null : b)), variant: shown },
+        ...rest,
+      ];
+    };
+    const conversation = ({ history, summary, ...rest }) => ({
+      ...rest,
+      history: keep(history),
+      summary: summary && hasPrivate(history.slice(0, summary.covered)) ? null : summary,
+    });
+    return {
+      ...conversation(stateToSave),
+      outbox: stateToSave.outbox.filter((entry) => !entry.private),
+      threads: stateToSave.threads.map(conversation),
+    };
+  }
 
-        return true;
-      } catch (e) {
-        console.warn(
-          "Chat Widget: Failed to restore state, clearing corrupted data:",
-          e.message,
-        );
-        sessionStorage.removeItem(this._storageKey);
-        return false;
-      }
+  /**
+   * Serializes state within the storage size limit. The oldest other
+   * threads are left out of the stored copy first, then the oldest messages.
+   */
+  _serialize(stateToSave) {
+    const maxSize = this._options.maxStorageSize || LIMITS.MAX_STORAGE_SIZE;
+    let serialized = JSON.stringify(stateToSave);
+    let { history, threads } = stateToSave;
+    while (serialized.length > maxSize && threads.length > 0) {
+      threads = [...threads].sort((a, b) => b.createdAt - a.createdAt).slice(0, -1);
+      serialized = JSON.stringify({ ...stateToSave, threads });
+    }
+    while (serialized.length > maxSize && history.length > 1) {
+      history = history.slice(Math.max(1, Math.ceil(history.length / 10)));
+      serialized = JSON.stringify({ ...stateToSave, threads, history });
+    }
+    if (this._options.debug && (history !== stateToSave.history || threads !== stateToSave.threads)) {
+      console.log(
+        `Stored state trimmed to ${threads.length} other threads and ${history.length} messages to fit the storage limit`,
+      );
     }
-    return false;
+    return serialized;
   }
 
   /**
-   * Optimizes conversation history for API requests using token-aware sliding window
+   * Restores state from the storage backend
    */
-  optimizeHistory() {
-    const history = this._state.history;
-    if (history.length === 0) return [];
-
-    const recentCount = Math.min(
-      this._options.alwaysKeepRecentMessages || LIMITS.ALWAYS_KEEP_RECENT,
-      history.length,
-    );
-    const recentMessages = history.slice(-recentCount);
-    const olderMessages = history.slice(0, -recentCount);
-
-    let tokenCount = recentMessages.reduce(
-      (sum, msg) => sum + this._estimateTokens(msg.content),
-      0,
-    );
-
-    const maxTokens =
-      this._options.maxHistoryTokens || LIMITS.MAX_HISTORY_TOKENS;
-
-    if (tokenCount < maxTokens && olderMessages.length === 0) {
-      return history;
+  async restore() {
+    let saved = null;
+    let legacyKey = null;
+    try {
+      saved = await this._storage.get(this._storageKey);
+      if (saved == null) ({ key: legacyKey, saved } = await this._legacyState());
+    } catch (e) {
+      console.warn("Chat Widget: Failed to read saved state:", e.message);
     }
+    if (!saved) return false;
 
-    const optimized = [...recentMessages];
-
-    for (let i = olderMessages.length - 1; i >= 0; i--) {
-      const compressed = this._compressMessage(olderMessages[i]);
-      const compressedTokens = this._estimateTokens(compressed.content);
+    let state = null;
+    try {
+      state = JSON.parse(saved);
+    } catch (e) {
+      // Not JSON at all
+    }
+    if (!state || typeof state !== "object") {
+      await this._backUp(saved, "Stored state is unreadable");
+      return false;
+    }
+    if (state.schemaVersion > ChatState.SCHEMA_VERSION) {
+      // A newer widget wrote it; keep a full copy before saving over it
+      await this._backUp(saved, `Stored state has schema version ${state.schemaVersion}`);
+    }
 
-      if (tokenCount + compressedTokens <= maxTokens) {
-        optimized.unshift(compressed);
-        tokenCount += compressedTokens;
-      } else {
-        break;
+    // State saved before it was timestamped counts as saved now, so turning
+    // on historyTTL does not discard it right away
+    const ttl = this._options.historyTTL;
+    const savedAt = Number.isFinite(state.savedAt) ? state.savedAt : Date.now();
+    if (ttl && Date.now() - savedAt > ttl) {
+      try {
+        await this._storage.remove(legacyKey || this._storageKey);
+      } catch (e) {
+        console.warn("Chat Widget: Failed to remove expired state:", e.message);
       }
+      if (this._options.debug) console.log("Client discarded stored state older than historyTTL");
+      return false;
+    }
+
+    try {
+      this.update(this._fromSaved(this._salvage(this._migrate(state))));
+    } catch (e) {
+      await this._backUp(saved, `Failed to restore state (${e.message})`);
+      return false;
     }
 
     if (this._options.debug) {
       console.log(
-        `History optimized: ${history.length} → ${optimized.length} messages (~${tokenCount} tokens)`,
+        "Client restored traceId from storage:",
+        this._state.traceId,
+        "sessionId:",
+        this._state.sessionId,
       );
     }
 
-    return optimized;
+    if (legacyKey) await this._moveFromLegacyKey(legacyKey);
+    return true;
   }
 
   /**
-   * Trims history to maximum message count
+   * Brings stored state up to the current schema version. State from a
+   * newer version is read as is; unknown fields are ignored.
    */
-  trimHistory() {
-    const maxMessages =
-      this._options.maxHistoryMessages || LIMITS.MAX_HISTORY_MESSAGES;
-    if (this._state.history.length > maxMessages) {
-      const removed = this._state.history.length - maxMessages;
-      this.update({
-        history: this._state.history.slice(-maxMessages),
+  _migrate(state) {
+    let version = Number.isInteger(state.schemaVersion) ? state.schemaVersion : 0;
+    while (version < ChatState.SCHEMA_VERSION) {
+      state = ChatState.MIGRATIONS[version](state);
+      version++;
+    }
+    return state;
+  }
+
+  /**
+   * Keeps what is readable of stored state. Messages without a role or text
+   * are dropped, as are malformed threads, queued messages and synopses; a
+   * fork whose branches do not check out keeps only the branch being shown.
+   */
+  _salvage(state) {
+    const isMessage = (msg) =>
+      Boolean(msg) && ["user", "assistant", "system"].includes(msg.role) && typeof msg.content === "string";
+    const isBranch = (branch) => Array.isArray(branch) && branch.length > 0 && branch.every(isMessage);
+    const messages = (list) => (Array.isArray(list) ? list : [])
+      .filter(isMessage)
+      .map(({ variants, variant, ...msg }) => {
+        const forked = Array.isArray(variants) && variants[variant] === null &&
+          variants.every((branch, i) => i === variant || isBranch(branch));
+        return forked ? { ...msg, variants, variant } : msg;
       });
+    return {
+      ...state,
+      history: messages(state.history),
+      outbox: (Array.isArray(state.outbox) ? state.outbox : [])
+        .filter((entry) => entry && entry.id && typeof entry.content === "string"),
+      threads: (Array.isArray(state.threads) ? state.threads : [])
+        .filter((thread) => thread && thread.id)
+        .map((thread) => ({ ...thread, history: messages(thread.history) })),
+      summary: state.summary?.text ? state.summary : null,
+      thread: state.thread?.id ? state.thread : ChatState.newThread(),
+      tokenSamples: state.tokenSamples && typeof state.tokenSamples === "object" ? state.tokenSamples : {},
+    };
+  }
 
-      if (this._options.debug) {
-        console.log(`History trimmed: removed ${removed} oldest messages`);
-      }
+  /**
+   * Keeps stored state that cannot be restored as is under `<key>_backup`,
+   * so saving over it loses nothing
+   */
+  async _backUp(saved, reason) {
+    console.warn(`Chat Widget: ${reason}; a copy is kept under ${this._storageKey}_backup`);
+    try {
+      await this._storage.set(`${this._storageKey}_backup`, saved);
+    } catch (e) {
+      console.warn("Chat Widget: Failed to back up stored state:", e.message);
     }
   }
 
   /**
-   * Estimates token count for text
+   * State stored under a key that still included the model name, so that a
+   * changed `model` does not lose it. The key for the current model is tried
+   * first; backends that can list their keys also find state left behind by
+   * an earlier model, the most recently used first.
    */
-  _estimateTokens(text) {
-    if (!text || typeof text !== "string") return 0;
-    return Math.ceil(text.length / LIMITS.CHARS_PER_TOKEN);
+  async _legacyState() {
+    const prefix = this._options._legacyStoragePrefix;
+    if (!prefix) return { key: null, saved: null };
+    const current = `${prefix}${this._options.model}`;
+    const saved = await this._storage.get(current);
+    if (saved != null) return { key: current, saved };
+    if (typeof this._storage.keys !== "function") return { key: null, saved: null };
+
+    let found = { key: null, saved: null, lastActive: -1 };
+    for (const key of await this._storage.keys()) {
+      if (typeof key !== "string" || !key.startsWith(prefix) || key === `${this._storageKey}_backup`) continue;
+      const candidate = await this._storage.get(key);
+      let lastActive = 0;
+      try {
+        lastActive = Math.max(0, ...JSON.parse(candidate).history.map((msg) => msg.timestamp || 0));
+      } catch (e) {
+        // Unreadable; only taken if nothing better turns up
+      }
+      if (candidate != null && lastActive > found.lastActive) found = { key, saved: candidate, lastActive };
+    }
+    return { key: found.key, saved: found.saved };
   }
 
   /**
-   * Compresses a message for history
+   * Stores state restored from a legacy key under the current key, then
+   * deletes the legacy copy
    */
-  _compressMessage(message) {
-    if (message.role === "user") {
-      return {
-        role: "user",
+  async _moveFromLegacyKey(legacyKey) {
+    await this.save();
+    try {
+      if (await this._storage.get(this._storageKey) != null) await this._storage.remove(legacyKey);
+    } catch (e) {
+      console.warn("Chat Widget: Failed to move stored state to its new key:", e.message);
+    }
+  }
+
+  /**
+   * Picks the stored fields out of saved state of the current schema, from
+   * storage after migrating or from another tab
+   */
+  _fromSaved(state) {
+    return {
+      history: state.history,
+      hasInteracted: state.hasInteracted,
+      traceId: state.traceId,
+      sessionId: state.sessionId,
+      privateMode: state.privateMode,
+      outbox: state.outbox,
+      summary: state.summary,
+      thread: state.thread,
+      threads: state.threads,
+      tokenSamples: state.tokenSamples,
+    };
+  }
+
+  /**
+   * Deletes the stored state and, with encrypted storage, the device key,
+   * and resets this tab. Nothing is stored again until the page is
+   * reloaded. `fromTab` marks a wipe another tab has already carried out.
+   */
+  async forgetDevice(fromTab = false) {
+    this._persist = false;
+    this.update({ ...ChatState.savedDefaults(), lastFailedMessage: null, unreadCount: 0 });
+    if (fromTab) return;
+    this.postToTabs({ type: "forget" });
+    await this._lastWrite;
+    try {
+      await this._storage.remove(this._storageKey);
+      await this._storage.remove(`${this._storageKey}_backup`);
+      if (this._storage instanceof EncryptedStorage) await this._storage.forgetKey();
+    } catch (e) {
+      console.warn("Chat Widget: Failed to delete stored state:", e.message);
+    }
+  }
+
+  /**
+   * Metadata for a new, empty thread
+   */
+  static newThread() {
+    return {
+      id: `thread-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      title: "",
+      createdAt: Date.now(),
+    };
+  }
+
+  /**
+   * The stored fields of a fresh conversation
+   */
+  static savedDefaults() {
+    return {
+      history: [],
+      hasInteracted: false,
+      traceId: null,
+      sessionId: null,
+      privateMode: false,
+      outbox: [],
+      summary: null,
+      thread: ChatState.newThread(),
+      threads: [],
+      tokenSamples: {},
+    };
+  }
+
+  /**
+   * All threads, newest first. The current one carries its live history.
+   */
+  listThreads() {
+    return [this._currentThread(), ...this._state.threads]
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * The current thread in the shape it is parked in `threads`
+   */
+  _currentThread() {
+    const { thread, history, summary, traceId, sessionId } = this._state;
+    return { ...thread, history, summary, traceId, sessionId };
+  }
+
+  /**
+   * Makes `target` the current thread. The previous one is parked in
+   * `threads` unless it is being deleted or was never used.
+   */
+  _activateThread(target, parkCurrent = true) {
+    const current = this._currentThread();
+    const used = current.title || current.history.some((msg) => msg.role === "user");
+    const others = this._state.threads.filter((t) => t.id !== target.id && t.id !== current.id);
+    this.update({
+      threads: parkCurrent && used ? [current, ...others] : others,
+      thread: { id: target.id, title: target.title || "", createdAt: target.createdAt },
+      history: target.history || [],
+      summary: target.summary || null,
+      traceId: target.traceId || null,
+      sessionId: target.sessionId || null,
+      lastFailedMessage: null,
+    });
+  }
+
+  /**
+   * Starts a new, empty thread and makes it current
+   */
+  createThread() {
+    this._activateThread(ChatState.newThread());
+  }
+
+  /**
+   * Makes a parked thread current. Returns false for an unknown ID.
+   */
+  switchThread(id) {
+    const target = this._state.threads.find((t) => t.id === id);
+    if (!target) return false;
+    this._activateThread(target);
+    return true;
+  }
+
+  /**
+   * Sets a thread's title; an empty title falls back to its first message
+   */
+  renameThread(id, title) {
+    if (id === this._state.thread.id) {
+      this.update({ thread: { ...this._state.thread, title } });
+    } else {
+      this.update({
+        threads: this._state.threads.map((t) => (t.id === id ? { ...t, title } : t)),
+      });
+    }
+  }
+
+  /**
+   * Deletes a thread. Deleting the current one switches to the newest
+   * remaining thread, or to a new empty one.
+   */
+  deleteThread(id) {
+    if (id !== this._state.thread.id) {
+      this.update({ threads: this._state.threads.filter((t) => t.id !== id) });
+      return;
+    }
+    const [next] = [...this._state.threads].sort((a, b) => b.createdAt - a.createdAt);
+    this._activateThread(next || ChatState.newThread(), false);
+  }
+
+  /**
+   * Opens an imported conversation ({ title, history }) as a new current
+   * thread. With `keepCurrent` false it replaces the current thread instead.
+   */
+  importThread({ title, history }, keepCurrent = true) {
+    this._activateThread({ ...ChatState.newThread(), title, history }, keepCurrent);
+  }
+
+  /**
+   * Replaces message `id` with an edited user message as a new branch. The
+   * old message and everything after it are kept as another branch of the
+   * conversation tree; the new branch ends at the edited message.
+   * Returns false for an unknown ID.
+   */
+  editMessage(id, content, newId) {
+    const index = this._state.history.findIndex((msg) => msg.id === id);
+    if (index === -1) return false;
+    const variants = this._branchesAt(index);
+    this._showBranch(index, [...variants, null], variants.length, [
+      { role: "user", content, id: newId, timestamp: Date.now(), ...(this._state.privateMode && { private: true }) },
+    ]);
+    return true;
+  }
+
+  /**
+   * Shows branch `variant` of the fork at message `id`. Returns the ID of
+   * the message that now starts the fork, or null if there is no such branch.
+   */
+  switchBranch(id, variant) {
+    const index = this._state.history.findIndex((msg) => msg.id === id);
+    if (index === -1 || variant === (this._state.history[index].variant ?? 0)) return null;
+    const variants = this._branchesAt(index);
+    if (!variants[variant]) return null;
+    this._showBranch(index, variants, variant, variants[variant]);
+    return variants[variant][0].id;
+  }
+
+  /**
+   * Takes the last answer out of history so the question can be asked again.
+   * Returns what `settleAnswer` needs to file the next answer next to it, or
+   * null if history does not end with an answer to a question. `id` names
+   * the answer if it has no ID yet, `newId` the one to come.
+   */
+  detachAnswer(id, newId) {
+    const history = this._state.history;
+    const index = history.length - 1;
+    if (index < 1 || history[index].role !== "assistant" || history[index - 1].role !== "user") return null;
+    const answer = { ...history[index], id: history[index].id || id };
+    const branches = this._branchesAt(index);
+    branches[answer.variant ?? 0][0].id = answer.id;
+    this.update({ history: history.slice(0, index) });
+    return { question: history[index - 1], answer, branches, id: newId };
+  }
+
+  /**
+   * Files the answer recorded since `detachAnswer` as the newest version of
+   * it, or puts the detached answer back if none was recorded. Returns
+   * false if history has moved on, e.g. because it was cleared.
+   */
+  settleAnswer({ question, answer, branches, id }) {
+    const history = this._state.history;
+    const index = history.indexOf(question) + 1;
+    if (index === 0) return false;
+    if (history.length === index) {
+      this.update({ history: [...history, answer] });
+      return true;
+    }
+    if (history.length !== index + 1 || history[index].role !== "assistant") return false;
+    this._showBranch(index, [...branches, null], branches.length, [{ ...history[index], id }]);
+    return true;
+  }
+
+  /**
+   * ID of the branch being shown: the first message of its latest fork, or
+   * null while the conversation has never been forked
+   */
+  branchId() {
+    const forks = this._state.history.filter((msg) => msg.variants);
+    return forks.length > 0 ? forks[forks.length - 1].id || null : null;
+  }
+
+  /**
+   * The branches of the fork at `index`, each a list of messages from that
+   * point on, including the one currently in history
+   */
+  _branchesAt(index) {
+    const history = this._state.history;
+    const { variants = [null], variant = 0, ...first } = history[index];
+    const branches = [...variants];
+    branches[variant] = [first, ...history.slice(index + 1)];
+    return branches;
+  }
+
+  /**
+   * Puts `branch` into history from `index` on. The first message keeps the
+   * other branches; the shown one lives in history only.
+   */
+  _showBranch(index, branches, variant, branch) {
+    const [first, ...rest] = branch;
+    const variants = branches.map((b, i) => (i === variant ? null : b));
+    const summary = this._state.summary;
+    this.update({
+      history: [...this._state.history.slice(0, index), { ...first, variants, variant }, ...rest],
+      // A synopsis reaching past the fork describes the other branch
+      summary: summary && summary.covered > index ? null : summary,
+      lastFailedMessage: null,
+    });
+  }
+
+  /**
+   * Whether the storage backend is shared by all tabs of the origin
+   */
+  isShared() {
+    const storage = this._storage instanceof EncryptedStorage ? this._storage.storage : this._storage;
+    return !(storage instanceof WebStorageAdapter && storage.storage === window.sessionStorage);
+  }
+
+  /**
+   * Joins the other tabs showing this widget over BroadcastChannel, when the
+   * storage is shared between them. State they save is applied here;
+   * `onMessage` receives every message after that, e.g. sending status.
+   */
+  connectTabs(onMessage) {
+    if (!this.isShared() || typeof BroadcastChannel === "undefined") return;
+    this._channel = new BroadcastChannel(this._storageKey);
+    this._channel.onmessage = ({ data }) => {
+      if (!data || data.tabId === this._tabId) return;
+      if (data.type === "state") {
+        this._applyingRemote = true;
+        try {
+          this.update(this._fromSaved(data.state));
+        } finally {
+          this._applyingRemote = false;
+        }
+      }
+      onMessage(data);
+    };
+  }
+
+  /**
+   * Sends a message to the other tabs, if connected
+   */
+  postToTabs(message) {
+    this._channel?.postMessage({ ...message, tabId: this._tabId });
+  }
+
+  /**
+   * Runs `task` unless another tab is already running the job of this name.
+   * Without shared storage or the Web Locks API it simply runs.
+   */
+  async runInOneTab(name, task) {
+    if (!this.isShared() || !navigator.locks) return task();
+    return navigator.locks.request(
+      `${this._storageKey}_${name}`,
+      { ifAvailable: true },
+      (lock) => (lock ? task() : undefined),
+    );
+  }
+
+  /**
+   * Holds the lock of this name until the returned function is called, so
+   * other tabs notice when this one stops, even if it closes or crashes
+   */
+  holdInTab(name) {
+    if (!this.isShared() || !navigator.locks) return () => {};
+    let release;
+    const held = new Promise((resolve) => (release = resolve));
+    navigator.locks.request(`${this._storageKey}_${name}`, () => held);
+    return release;
+  }
+
+  /**
+   * Resolves once no tab holds the lock of this name, or returns null
+   * without the Web Locks API
+   */
+  whenReleasedInTabs(name) {
+    if (!navigator.locks) return null;
+    return navigator.locks.request(`${this._storageKey}_${name}`, () => {});
+  }
+
+  /**
+   * Leaves the tab channel
+   */
+  disconnectTabs() {
+    this._channel?.close();
+    this._channel = null;
+  }
+
+  /**
+   * Optimizes conversation history for API requests using token-aware sliding window.
+   * With summarizeHistory, turns covered by the synopsis are replaced by it
+   * as a leading system message.
+   */
+  optimizeHistory() {
+    const history = this._state.history;
+    if (history.length === 0) return [];
+
+    const recentCount = this._recentCount();
+    // Only role and content go to the API; UI-only fields such as
+    // `reasoning` or `truncated` stay local
+    const recentMessages = history
+      .slice(-recentCount)
+      .map(({ role, content }) => ({ role, content }));
+    const summary = this._summaryMessage();
+    const covered = summary ? Math.min(this._state.summary.covered, history.length - recentCount) : 0;
+    const olderMessages = history.slice(covered, -recentCount);
+
+    let tokenCount = recentMessages.reduce(
+      (sum, msg) => sum + this._estimateTokens(msg.content),
+      0,
+    );
+    if (summary) tokenCount += this._estimateTokens(summary.content);
+
+    const maxTokens =
+      this._options.maxHistoryTokens || LIMITS.MAX_HISTORY_TOKENS;
+
+    if (tokenCount < maxTokens && olderMessages.length === 0) {
+      return summary ? [summary, ...recentMessages] : recentMessages;
+    }
+
+    const optimized = [...recentMessages];
+
+    for (let i = olderMessages.length - 1; i >= 0; i--) {
+      const compressed = this._compressMessage(olderMessages[i]);
+      const compressedTokens = this._estimateTokens(compressed.content);
+
+      if (tokenCount + compressedTokens <= maxTokens) {
+        optimized.unshift(compressed);
+        tokenCount += compressedTokens;
+      } else {
+        break;
+      }
+    }
+    if (summary) optimized.unshift(summary);
+
+    if (this._options.debug) {
+      console.log(
+        `History optimized: ${history.length} → ${optimized.length} messages (~${tokenCount} tokens)`,
+      );
+    }
+
+    return optimized;
+  }
+
+  /**
+   * Number of most recent messages that are always sent in full
+   */
+  _recentCount() {
+    return Math.min(
+      this._options.alwaysKeepRecentMessages || LIMITS.ALWAYS_KEEP_RECENT,
+      this._state.history.length,
+    );
+  }
+
+  /**
+   * The synopsis as a system message, if summarizing is on and one exists
+   */
+  _summaryMessage() {
+    const summary = this._state.summary;
+    if (!this._options.summarizeHistory || !summary?.text) return null;
+    return {
+      role: "system",
+      content: _t(this._options.language, "summaryContext").replace("{summary}", summary.text),
+    };
+  }
+
+  /**
+   * Older turns that the synopsis does not cover yet, once there are at
+   * least SUMMARY_BATCH of them: { messages, summary }. Null otherwise.
+   */
+  summaryBacklog() {
+    const history = this._state.history;
+    const end = history.length - this._recentCount();
+    const covered = Math.min(this._state.summary?.covered || 0, end);
+    if (end - covered < LIMITS.SUMMARY_BATCH) return null;
+    return { messages: history.slice(covered, end), summary: this._state.summary };
+  }
+
+  /**
+   * Stores a synopsis of the history up to and including `lastCovered`.
+   * Returns false if that message is no longer in the history, e.g. after
+   * clearing or switching threads while the summary was being written.
+   */
+  setSummary(text, lastCovered) {
+    const covered = this._state.history.indexOf(lastCovered) + 1;
+    if (!text || covered === 0) return false;
+    this.update({ summary: { text, covered } });
+    return true;
+  }
+
+  /**
+   * Trims history to maximum message count
+   */
+  trimHistory() {
+    const maxMessages =
+      this._options.maxHistoryMessages || LIMITS.MAX_HISTORY_MESSAGES;
+    if (this._state.history.length > maxMessages) {
+      const removed = this._state.history.length - maxMessages;
+      const summary = this._state.summary;
+      this.update({
+        history: this._state.history.slice(-maxMessages),
+        // The synopsis still covers the dropped messages
+        summary: summary && { ...summary, covered: Math.max(0, summary.covered - removed) },
+      });
+
+      if (this._options.debug) {
+        console.log(`History trimmed: removed ${removed} oldest messages`);
+      }
+    }
+  }
+
+  /**
+   * Estimates token count for text, calibrated for the configured model
+   */
+  _estimateTokens(text) {
+    return this._tokenCounter().count(text);
+  }
+
+  /**
+   * Uncalibrated token estimate of the messages of a request, to be paired
+   * with the prompt tokens reported for it in calibrateTokens()
+   */
+  measurePrompt(messages) {
+    const counter = this._tokenCounter();
+    return messages.reduce((sum, msg) => sum + counter.estimate(msg.content), 0);
+  }
+
+  /**
+   * Records how many prompt tokens the server counted for a request whose
+   * estimate was `estimated`
+   */
+  calibrateTokens(estimated, reported) {
+    if (!(estimated > 0) || !(reported > 0)) return;
+    const model = this._options.model;
+    const counter = this._tokenCounter();
+    const samples = counter.calibrate(estimated, reported);
+    this.update({ tokenSamples: { ...this._state.tokenSamples, [model]: samples } });
+
+    if (this._options.debug) {
+      console.log(`Token estimate for ${model}: ${estimated} → ${reported} reported, factor ${counter.factor.toFixed(2)}`);
+    }
+  }
+
+  /**
+   * Token counter of the configured model, rebuilt when its calibration
+   * samples change (e.g. restored or received from another tab)
+   */
+  _tokenCounter() {
+    const samples = this._state.tokenSamples[this._options.model] || [];
+    if (this._tokens?.samples !== samples) {
+      this._tokens = new TokenCounter(this._options.model, this._options.tokenizer, samples);
+    }
+    return this._tokens;
+  }
+
+  /**
+   * Compresses a message for history
+   */
+  _compressMessage(message) {
+    if (message.role === "user") {
+      return {
+        role: "user",
         content: message.content.substring(0, LIMITS.USER_MSG_LENGTH),
       };
     } else {
-      const content = message.content
-        .replace(/```[\s\S]*?```/g, "[code]")
-        .replace(/\[(\d+)\]/g, "")
-        .replace(/[#*_]/g, "")
-        .trim();
+      const content = message.content
+        .replace(/```[\s\S]*?```/g, "[code]")
+        .replace(/\[(\d+)\]/g, "")
+        .replace(/[#*_]/g, "")
+        .trim();
+
+      const firstSentence = content.match(/^[^.!?]+[.!?]/);
+      const compressed = firstSentence
+        ? firstSentence[0]
+        : content.substring(0, LIMITS.COMPRESSED_MSG_LENGTH);
+
+      return {
+        role: "assistant",
+        content: compressed + (compressed.length < content.length ? "..." : ""),
+      };
+    }
+  }
+}
+
+// ============================================================================
+// API LAYER
+// ============================================================================
+
+/**
+ * Incremental text/event-stream decoder following the WHATWG SSE parsing
+ * rules: CR, LF and CRLF line endings (also split across chunks), multi-line
+ * `data:` fields, `:` comments, `id:` and `retry:` fields. Pending data is
+ * discarded at end of stream unless terminated by a blank line.
+ *
+ * Handlers: onEvent({ type, data, id }), onComment(text), onRetry(ms).
+ */
+class SSEDecoder {
+  constructor(handlers = {}) {
+    this._handlers = handlers;
+    this.lastEventId = "";
+    this.retry = null;
+    this.reset();
+  }
+
+  /**
+   * Clears per-connection buffers. The last event ID and retry interval
+   * survive so a reconnected stream continues where the old one stopped.
+   */
+  reset() {
+    this._line = "";
+    this._data = "";
+    this._eventType = "";
+    this._idBuffer = this.lastEventId;
+    this._sawCR = false;
+    this._started = false;
+  }
+
+  /**
+   * Feeds decoded text; complete lines are processed immediately
+   */
+  push(text) {
+    if (!text) return;
+    if (!this._started) {
+      this._started = true;
+      if (text.charCodeAt(0) === 0xfeff) text = text.slice(1);
+    }
+
+    let pos = 0;
+    if (this._sawCR) {
+      this._sawCR = false;
+      if (text[0] === "\n") pos = 1;
+    }
+
+    const lineEnd = /\r\n?|\n/g;
+    lineEnd.lastIndex = pos;
+    let match;
+    while ((match = lineEnd.exec(text))) {
+      // A trailing CR may be the first half of a CRLF split across chunks
+      if (match[0] === "\r" && lineEnd.lastIndex === text.length) this._sawCR = true;
+      this._processLine(this._line + text.slice(pos, match.index));
+      this._line = "";
+      pos = lineEnd.lastIndex;
+    }
+    this._line += text.slice(pos);
+  }
+
+  /**
+   * Signals end of stream; an unterminated event is dropped per spec
+   */
+  end() {
+    this.reset();
+  }
+
+  _processLine(line) {
+    if (line === "") {
+      this._dispatch();
+      return;
+    }
+    if (line[0] === ":") {
+      this._handlers.onComment?.(line.slice(1).replace(/^ /, ""));
+      return;
+    }
+
+    const colon = line.indexOf(":");
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? "" : line.slice(colon + 1);
+    if (value[0] === " ") value = value.slice(1);
+
+    switch (field) {
+      case "event":
+        this._eventType = value;
+        break;
+      case "data":
+        this._data += value + "\n";
+        break;
+      case "id":
+        if (!value.includes("\0")) this._idBuffer = value;
+        break;
+      case "retry":
+        if (/^\d+$/.test(value)) {
+          this.retry = parseInt(value, 10);
+          this._handlers.onRetry?.(this.retry);
+        }
+        break;
+      default:
+        // Unknown fields are ignored
+        break;
+    }
+  }
+
+  _dispatch() {
+    this.lastEventId = this._idBuffer;
+    if (this._data === "") {
+      this._eventType = "";
+      return;
+    }
+    const event = {
+      type: this._eventType || "message",
+      data: this._data.slice(0, -1),
+      id: this.lastEventId,
+    };
+    this._data = "";
+    this._eventType = "";
+    this._handlers.onEvent?.(event);
+  }
+}
+
+/**
+ * Local stand-in for the chat proxy, used with `transport: "mock"`. Serves
+ * scripted replies through a fake fetch in the proxy's wire format, so
+ * streaming, retries, stalls and citations run through the real code paths.
+ * Every request, including automatic retries, takes the next reply.
+ */
+class MockTransport {
+  constructor(options = {}) {
+    this.replies = options.replies || null;
+    this.firstByteDelay = options.firstByteDelay ?? TIMINGS.MOCK_FIRST_BYTE_DELAY;
+    this.chunkDelay = options.chunkDelay ?? TIMINGS.MOCK_CHUNK_DELAY;
+    this._requestCount = 0;
+  }
+
+  /**
+   * fetch()-compatible entry point
+   */
+  async fetch(url, init) {
+    const body = JSON.parse(init.body);
+    const reply = this._nextReply(body);
+    await this._delay(reply.firstByteDelay ?? this.firstByteDelay, init.signal);
+
+    if (reply.status) {
+      const headers = { "Content-Type": "application/json" };
+      if (reply.retryAfter != null) headers["Retry-After"] = String(reply.retryAfter);
+      return new Response(
+        JSON.stringify({ error: reply.error || `Mock error ${reply.status}` }),
+        { status: reply.status, headers },
+      );
+    }
+
+    if (body.stream) {
+      return new Response(this._stream(reply, body, init.signal), {
+        status: 200,
+        headers: { "Content-Type": "text/event-stream" },
+      });
+    }
+
+    if (reply.stall) await this._delay(Infinity, init.signal);
+    return new Response(JSON.stringify({
+      response: reply.content,
+      reasoningContent: reply.reasoning,
+      sources: reply.sources,
+      toolCalls: this._tools(reply).map(({ name }) => ({ type: "function", function: { name } })),
+      traceId: body.traceId || "mock-trace",
+      sessionId: "mock-session",
+      model: body.model,
+      finishReason: reply.finishReason || "stop",
+      promptTokens: reply.promptTokens,
+    }), { status: 200, headers: { "Content-Type": "application/json" } });
+  }
+
+  /**
+   * Picks the scripted reply for this request
+   */
+  _nextReply(body) {
+    const index = this._requestCount++;
+    let reply;
+    if (typeof this.replies === "function") {
+      reply = this.replies(body);
+    } else if (Array.isArray(this.replies) && this.replies.length) {
+      reply = this.replies[index % this.replies.length];
+    } else {
+      reply = this._demoReply(body);
+    }
+    if (typeof reply === "string") reply = { content: reply };
+    return { content: "", ...reply };
+  }
 
-      const firstSentence = content.match(/^[^.!?]+[.!?]/);
-      const compressed = firstSentence
-        ? firstSentence[0]
-        : content.substring(0, LIMITS.COMPRESSED_MSG_LENGTH);
+  /**
+   * Default reply exercising markdown, math and a citation
+   */
+  _demoReply(body) {
+    return {
+      content: `This is a mock reply to "${body.message}". It renders **markdown**, `
+        + "math such as $e^{i\\pi} + 1 = 0$, and a citation [1].",
+      sources: [{
+        source: { name: "Mock lecture notes" },
+        document: ["Sample passage the citation points to."],
+      }],
+    };
+  }
 
-      return {
-        role: "assistant",
-        content: compressed + (compressed.length < content.length ? "..." : ""),
+  _tools(reply) {
+    return (reply.tools || []).map((tool) => (typeof tool === "string" ? { name: tool } : tool));
+  }
+
+  /**
+   * Builds the SSE body: tool steps, reasoning, then the answer word by word
+   */
+  _stream(reply, body, signal) {
+    const words = (text) => (text ? text.match(/\s*\S+\s*/g) || [text] : []);
+    const answer = words(reply.content);
+    const half = Math.ceil(answer.length / 2);
+    const events = [
+      ...this._tools(reply).map((tool) => ({ event: "tool", data: tool })),
+      ...words(reply.reasoning).map((content) => ({ event: "reasoning", data: { content } })),
+    ];
+    answer.forEach((content, i) => {
+      if (i === half && reply.stall) events.push({ stall: true });
+      if (i === half && reply.error) events.push({ event: "error", data: { error: reply.error } });
+      events.push({ event: "delta", data: { content } });
+    });
+    if (reply.sources) events.push({ event: "sources", data: { sources: reply.sources } });
+    events.push({
+      event: "done",
+      data: {
+        traceId: body.traceId || "mock-trace",
+        sessionId: "mock-session",
+        model: body.model,
+        tokenCount: answer.length,
+        promptTokens: reply.promptTokens,
+        finishReason: reply.finishReason || "stop",
+      },
+    });
+
+    const encoder = new TextEncoder();
+    const chunkDelay = reply.chunkDelay ?? this.chunkDelay;
+    let cancelled = false;
+    return new ReadableStream({
+      start: async (controller) => {
+        try {
+          for (const item of events) {
+            await this._delay(item.stall ? Infinity : chunkDelay, signal);
+            if (cancelled) return;
+            controller.enqueue(encoder.encode(`event: ${item.event}\ndata: ${JSON.stringify(item.data)}\n\n`));
+            if (item.event === "error") break;
+          }
+          controller.close();
+        } catch (error) {
+          if (!cancelled) controller.error(error);
+        }
+      },
+      cancel: () => {
+        cancelled = true;
+      },
+    });
+  }
+
+  /**
+   * Resolves after `ms` (never for Infinity); rejects like fetch when aborted
+   */
+  _delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new DOMException("Aborted", "AbortError"));
+        return;
+      }
+      const onAbort = () => {
+        clearTimeout(timerId);
+        reject(new DOMException("Aborted", "AbortError"));
       };
-    }
+      const timerId = Number.isFinite(ms)
+        ? setTimeout(() => {
+          signal?.removeEventListener("abort", onAbort);
+          resolve();
+        }, ms)
+        : null;
+      signal?.addEventListener("abort", onAbort, { once: true });
+    });
   }
 }
 
-// ============================================================================
-// API LAYER
-// ============================================================================
-
 /**
  * Handles all network communication with API
  */
@@ -753,20 +2216,70 @@ class ChatAPI {
     this.debug = options.debug || false;
     this.timeout = options.timeout || TIMINGS.REQUEST_TIMEOUT;
     this.lang = options.language || "en";
+    this.retry = options.retry || null;
+    this.transport = options.transport || "proxy";
+    this.middleware = options.middleware || [];
+    this.getAuthToken = options.getAuthToken || null;
+    this.refreshAuthToken = options.refreshAuthToken || null;
+    this._mock = this.transport === "mock" ? new MockTransport(options.mock) : null;
+    this.streamIdleTimeout = options.streamIdleTimeout ?? TIMINGS.STREAM_IDLE_TIMEOUT;
     this._currentController = null;
   }
 
   /**
-   * Builds the request body for chat API calls
+   * Builds the request body for chat API calls. `clientMessageId` identifies
+   * the user turn, so retries of it can be deduplicated by the proxy;
+   * `branchId` tells edited branches of a conversation apart;
+   * `originalMessageId` marks another answer to a turn that was already
+   * answered and names that turn.
    */
-  _buildBody(message, history, traceId, sessionId, privateMode, stream = false) {
+  _buildBody(message, history, traceId, sessionId, privateMode, stream = false, clientMessageId = null, branchId = null, originalMessageId = null) {
+    if (this.transport === "openai") return this._buildOpenAIBody(message, history, stream);
     const body = { message, history, model: this.model, traceId };
+    if (clientMessageId) body.clientMessageId = clientMessageId;
+    if (branchId) body.branchId = branchId;
+    if (originalMessageId) {
+      body.regenerate = true;
+      body.originalMessageId = originalMessageId;
+    }
     if (stream) body.stream = true;
     if (sessionId) body.sessionId = sessionId;
     if (privateMode) body.privateMode = true;
     return body;
   }
 
+  /**
+   * Builds a chat-completions request body. The history usually already ends
+   * with the message being sent, so it is only appended when missing.
+   */
+  _buildOpenAIBody(message, history, stream) {
+    const messages = history.map(({ role, content }) => ({ role, content }));
+    const last = messages[messages.length - 1];
+    if (!last || last.role !== "user" || last.content !== message) {
+      messages.push({ role: "user", content: message });
+    }
+    const body = { model: this.model, messages, stream };
+    if (stream) body.stream_options = { include_usage: true };
+    return body;
+  }
+
+  /**
+   * Reads the error message from a proxy (`{ error: "..." }`) or
+   * OpenAI-style (`{ error: { message } }`) body
+   */
+  _errorMessage(data, fallback) {
+    const error = data?.error;
+    if (typeof error === "string") return error;
+    return error?.message || fallback;
+  }
+
+  /**
+   * fetch(), or the mock transport's stand-in for it
+   */
+  _fetch(url, init) {
+    return this._mock ? this._mock.fetch(url, init) : fetch(url, init);
+  }
+
   /**
    * Cancels any in-flight request
    */
@@ -777,47 +2290,261 @@ class ChatAPI {
     }
   }
 
+  /**
+   * Creates a restartable timeout that calls onExpire when it elapses
+   */
+  _createTimeout(onExpire, duration = this.timeout) {
+    let timeoutId = null;
+    return {
+      start: () => {
+        clearTimeout(timeoutId);
+        timeoutId = setTimeout(onExpire, duration);
+      },
+      stop: () => clearTimeout(timeoutId),
+    };
+  }
+
+  /**
+   * Wraps the body in a request, adds the auth token and runs it through the
+   * beforeRequest hooks
+   */
+  async _prepareRequest(body, stream, url = this.endpoint) {
+    let request = {
+      url,
+      headers: { "Content-Type": "application/json" },
+      body,
+      stream,
+    };
+    if (this.getAuthToken) {
+      let token;
+      try {
+        token = await this.getAuthToken();
+      } catch (error) {
+        if (this.debug) console.warn("getAuthToken failed:", error);
+        throw this._createAuthError();
+      }
+      this._setAuthHeader(request, token);
+    }
+    for (const middleware of this.middleware) {
+      if (middleware.beforeRequest) {
+        request = (await middleware.beforeRequest(request)) || request;
+      }
+    }
+    return request;
+  }
+
+  /**
+   * Sets the bearer token header; an empty token leaves the request anonymous
+   */
+  _setAuthHeader(request, token) {
+    if (token) request.headers.Authorization = `Bearer ${token}`;
+  }
+
+  /**
+   * Asks the host page for a fresh token after a 401 and updates the request.
+   * Returns false if the refresh failed, so the 401 is reported as is.
+   */
+  async _refreshAuth(request) {
+    try {
+      const token = (await this.refreshAuthToken()) || (await this.getAuthToken?.());
+      this._setAuthHeader(request, token);
+      return true;
+    } catch (error) {
+      if (this.debug) console.warn("refreshAuthToken failed:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Error reported when no auth token could be obtained
+   */
+  _createAuthError() {
+    const error = new Error("Could not obtain auth token");
+    error.errorInfo = { type: "auth", message: _t(this.lang, "errorAuth") };
+    return error;
+  }
+
+  /**
+   * Runs a response through the afterResponse hooks
+   */
+  async _runResponseHooks(response, request) {
+    for (const middleware of this.middleware) {
+      if (middleware.afterResponse) {
+        response = (await middleware.afterResponse(response, request)) || response;
+      }
+    }
+    return response;
+  }
+
+  /**
+   * Runs a decoded SSE event through the onStreamEvent hooks.
+   * Returns null if a hook dropped it.
+   */
+  _runStreamEventHooks(event, request) {
+    for (const middleware of this.middleware) {
+      if (!middleware.onStreamEvent) continue;
+      const result = middleware.onStreamEvent(event, request);
+      if (result === null) return null;
+      if (result) event = result;
+    }
+    return event;
+  }
+
+  /**
+   * Runs an error through the onError hooks
+   */
+  _runErrorHooks(error, request) {
+    for (const middleware of this.middleware) {
+      if (middleware.onError) {
+        error = middleware.onError(error, request) || error;
+      }
+    }
+    return error;
+  }
+
+  /**
+   * POSTs the prepared request, retrying 429/5xx responses according to the
+   * retry policy. The timeout is re-armed per attempt and paused while waiting.
+   * A first 401 refreshes the auth token and replays the request without
+   * using up an attempt. Only the final response passes through the
+   * afterResponse hooks.
+   */
+  async _fetchWithRetry(request, signal, timeout, onRetry) {
+    const maxAttempts = this.retry ? this.retry.maxAttempts : 1;
+    let authRefreshed = false;
+
+    for (let attempt = 1; ; attempt++) {
+      timeout.start();
+      const response = await this._fetch(request.url, {
+        method: "POST",
+        headers: request.headers,
+        body: JSON.stringify(request.body),
+        signal,
+      });
+
+      if (response.status === 401 && this.refreshAuthToken && !authRefreshed) {
+        authRefreshed = true;
+        timeout.stop();
+        if (await this._refreshAuth(request)) {
+          response.body?.cancel().catch(() => {});
+          attempt--;
+          continue;
+        }
+      }
+
+      if (response.ok || attempt >= maxAttempts || !this._isRetryable(response)) {
+        return this._runResponseHooks(response, request);
+      }
+      const delay = this._retryDelay(attempt, response);
+      if (delay == null) return this._runResponseHooks(response, request);
+
+      timeout.stop();
+      response.body?.cancel().catch(() => {});
+      if (this.debug) {
+        console.log(`Retrying after HTTP ${response.status} in ${delay}ms (attempt ${attempt + 1}/${maxAttempts})`);
+      }
+      onRetry?.({ attempt: attempt + 1, maxAttempts, delay, status: response.status });
+      await this._wait(delay, signal);
+    }
+  }
+
+  /**
+   * Rate limits and server errors are worth retrying; client errors are not
+   */
+  _isRetryable(response) {
+    return response.status === 429 || response.status >= 500;
+  }
+
+  /**
+   * Computes the wait before the next attempt: the server's Retry-After if
+   * given, otherwise exponential backoff with jitter. Returns null when the
+   * server asks for a longer wait than the policy allows.
+   */
+  _retryDelay(attempt, response) {
+    const { baseDelay, maxDelay } = this.retry;
+    const retryAfter = this._parseRetryAfter(response.headers.get("Retry-After"));
+    if (retryAfter != null) {
+      return retryAfter <= maxDelay ? retryAfter : null;
+    }
+    const backoff = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+    // Jitter keeps a lecture hall of clients from retrying in lockstep
+    return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+  }
+
+  /**
+   * Parses a Retry-After header (delay-seconds or HTTP-date) into milliseconds
+   */
+  _parseRetryAfter(value) {
+    if (!value) return null;
+    if (/^\d+$/.test(value.trim())) return parseInt(value, 10) * 1000;
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Resolves after ms, or rejects with an AbortError if the signal fires first
+   */
+  _wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timerId);
+        reject(new DOMException("Aborted", "AbortError"));
+      };
+      const timerId = setTimeout(() => {
+        signal.removeEventListener("abort", onAbort);
+        resolve();
+      }, ms);
+      signal.addEventListener("abort", onAbort, { once: true });
+    });
+  }
+
   /**
    * Sends message to API and returns response
    */
-  async sendMessage(message, history, traceId, sessionId, privateMode) {
+  async sendMessage(message, history, traceId, sessionId, privateMode, callbacks = {}, clientMessageId = null, branchId = null, originalMessageId = null) {
     this.cancel();
 
     const controller = new AbortController();
     this._currentController = controller;
-    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+    const timeout = this._createTimeout(() => controller.abort());
 
     if (this.debug) {
       console.log("Client sending traceId:", traceId, "sessionId:", sessionId);
     }
 
+    let request = null;
     try {
-      const response = await fetch(this.endpoint, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(this._buildBody(message, history, traceId, sessionId, privateMode)),
-        signal: controller.signal,
-      });
+      request = await this._prepareRequest(
+        this._buildBody(message, history, traceId, sessionId, privateMode, false, clientMessageId, branchId, originalMessageId),
+        false,
+      );
+      const response = await this._fetchWithRetry(
+        request,
+        controller.signal,
+        timeout,
+        callbacks.onRetry,
+      );
 
-      clearTimeout(timeoutId);
+      timeout.stop();
       const data = await response.json();
 
       if (!response.ok) {
-        throw this._createError(data.error || "Request failed", response);
+        throw this._createError(this._errorMessage(data, "Request failed"), response);
       }
 
       return this._extractResponseData(data);
     } catch (error) {
-      clearTimeout(timeoutId);
+      timeout.stop();
       if (error.name === "AbortError") {
         const abortError = new Error("Request timed out or was cancelled");
         abortError.errorInfo = {
           type: "timeout",
           message: "Request timed out. The server took too long to respond.",
         };
-        throw abortError;
+        throw this._runErrorHooks(abortError, request);
       }
-      throw error;
+      if (!error.errorInfo) error.errorInfo = this._detectErrorType(error);
+      throw this._runErrorHooks(error, request);
     } finally {
       if (this._currentController === controller) {
         this._currentController = null;
@@ -825,94 +2552,196 @@ class ChatAPI {
     }
   }
 
+  /**
+   * Sends a summarization request to `url` (default: the chat endpoint) in
+   * the chat format, without trace or session. Only a dedicated endpoint such
+   * as the proxy's /summarize keeps it out of the conversation's log. It has
+   * its own controller, so it neither cancels nor is cancelled by a send.
+   * Resolves to the summary text.
+   */
+  async summarize(instruction, history, privateMode, url = this.endpoint) {
+    const controller = new AbortController();
+    const timeout = this._createTimeout(() => controller.abort());
+    let request = null;
+    try {
+      request = await this._prepareRequest(
+        this._buildBody(instruction, history, null, null, privateMode),
+        false,
+        url,
+      );
+      const response = await this._fetchWithRetry(request, controller.signal, timeout);
+      timeout.stop();
+      if (!response.ok) {
+        let data = {};
+        try { data = await response.json(); } catch (_) {}
+        throw this._createError(this._errorMessage(data, "Summary request failed"), response);
+      }
+      const data = await response.json();
+      // A dedicated summarizer may answer with { summary }
+      return String(data.summary ?? this._extractResponseData(data).content ?? "").trim();
+    } catch (error) {
+      if (!error.errorInfo) error.errorInfo = this._detectErrorType(error);
+      throw this._runErrorHooks(error, request);
+    } finally {
+      timeout.stop();
+    }
+  }
+
   /**
    * Sends message via streaming SSE and dispatches events via callbacks
    */
-  async sendMessageStreaming(message, history, traceId, sessionId, privateMode, callbacks) {
+  async sendMessageStreaming(message, history, traceId, sessionId, privateMode, callbacks, clientMessageId = null, branchId = null, originalMessageId = null) {
     this.cancel();
 
     const controller = new AbortController();
     this._currentController = controller;
     // First-byte timeout: abort if no data arrives within timeout period
     let firstByteReceived = false;
-    const timeoutId = setTimeout(() => {
-      if (!firstByteReceived) controller.abort();
-    }, this.timeout);
+    let timedOut = false;
+    const timeout = this._createTimeout(() => {
+      if (!firstByteReceived) {
+        timedOut = true;
+        controller.abort();
+      }
+    });
+    // Inactivity timeout between chunks. Any bytes reset it, including the
+    // server's keep-alive comments, so only a silent connection counts as stalled
+    let stalled = false;
+    const idleTimeout = this.streamIdleTimeout > 0
+      ? this._createTimeout(() => {
+        stalled = true;
+        controller.abort();
+      }, this.streamIdleTimeout)
+      : null;
+    // A reconnect gets the same budget: its request and the first bytes of
+    // the resumed body must arrive in time, or the answer counts as stalled.
+    // Without an idle timeout the request timeout bounds it instead.
+    const resumeTimeout = idleTimeout || this._createTimeout(() => {
+      stalled = true;
+      controller.abort();
+    });
+
+    let request = null;
+    // Every error the caller sees passes through the onError hooks first
+    const handlers = {
+      ...callbacks,
+      onError: (error) => callbacks.onError?.(this._runErrorHooks(error, request)),
+      onStall: callbacks.onStall && ((error) => callbacks.onStall(this._runErrorHooks(error, request))),
+    };
+    // Last seen SSE id and whether a terminal event arrived, kept across reconnects
+    const stream = { lastEventId: null, finished: false };
+    const dispatch = this.transport === "openai"
+      ? (event) => this._dispatchOpenAIEvent(event, stream, handlers)
+      : (event) => this._dispatchStreamEvent(event, stream, handlers);
+    // A throwing onStreamEvent hook ends the stream like any other error;
+    // the connection is fine, so it is not resumed
+    let hookError = null;
+    const decoder = new SSEDecoder({
+      onEvent: (event) => {
+        let hooked;
+        try {
+          hooked = this._runStreamEventHooks(event, request);
+        } catch (e) {
+          const errorInfo = { type: "unknown", message: _t(this.lang, "errorUnknown") };
+          hookError = e && typeof e === "object" ? e : new Error(String(e));
+          if (!hookError.errorInfo) {
+            try {
+              hookError.errorInfo = errorInfo;
+            } catch (_) {
+              // Frozen or read-only; wrap it rather than change it
+              hookError = new Error(String(e.message ?? e), { cause: e });
+              hookError.errorInfo = errorInfo;
+            }
+          }
+          throw hookError;
+        }
+        if (hooked) dispatch(hooked);
+      },
+    });
+    const onChunk = () => {
+      firstByteReceived = true;
+      resumeTimeout.stop();
+      idleTimeout?.start();
+    };
 
     try {
-      const response = await fetch(this.endpoint, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(this._buildBody(message, history, traceId, sessionId, privateMode, true)),
-        signal: controller.signal,
-      });
+      request = await this._prepareRequest(
+        this._buildBody(message, history, traceId, sessionId, privateMode, true, clientMessageId, branchId, originalMessageId),
+        true,
+      );
+      let response = await this._fetchWithRetry(request, controller.signal, timeout, callbacks.onRetry);
 
-      clearTimeout(timeoutId);
+      timeout.stop();
 
       if (!response.ok) {
         let data = {};
         try { data = await response.json(); } catch (_) {}
-        throw this._createError(data.error || "Request failed", response);
+        throw this._createError(this._errorMessage(data, "Request failed"), response);
       }
 
-      // Read SSE stream
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      let buffer = "";
-      let currentEvent = null;
+      let resumesLeft = LIMITS.STREAM_RESUME_ATTEMPTS;
+      let resumedFrom = null;
 
       while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
+        let dropError = null;
+        try {
+          await this._readEventStream(response, stream, decoder, onChunk);
+        } catch (error) {
+          if (error.name === "AbortError" || error === hookError) throw error;
+          dropError = error;
+        }
+        idleTimeout?.stop();
+        if (stream.finished) break;
 
-        firstByteReceived = true;
-        buffer += decoder.decode(value, { stream: true });
+        // Without event IDs the server cannot replay, so there is nothing to resume
+        if (!stream.lastEventId) {
+          if (dropError) throw dropError;
+          break;
+        }
 
-        // Process complete lines
-        const lines = buffer.split("\n");
-        buffer = lines.pop(); // keep incomplete last line in buffer
-        for (const line of lines) {
-          const trimmed = line.trim();
-          if (trimmed.startsWith("event:")) {
-            currentEvent = trimmed.slice(6).trim();
-          } else if (trimmed.startsWith("data:")) {
-            const dataStr = trimmed.slice(5).trim();
-            if (dataStr === "[DONE]") continue;
+        // Refill the budget whenever the last resumed stream made progress
+        if (stream.lastEventId !== resumedFrom) resumesLeft = LIMITS.STREAM_RESUME_ATTEMPTS;
+        resumedFrom = stream.lastEventId;
 
-            try {
-              const parsed = JSON.parse(dataStr);
-              const eventName = currentEvent || "message";
-
-              if (eventName === "delta" && parsed.content) {
-                callbacks.onDelta?.(parsed.content);
-              } else if (eventName === "sources" && parsed.sources) {
-                callbacks.onSources?.(parsed.sources);
-              } else if (eventName === "done") {
-                callbacks.onDone?.(parsed);
-              } else if (eventName === "error") {
-                callbacks.onError?.(new Error(parsed.error || "Stream error"));
-              }
-            } catch (_) {
-              // Skip malformed JSON lines
-            }
-            currentEvent = null;
-          } else if (trimmed === "") {
-            currentEvent = null;
-          }
+        response = null;
+        while (!response && resumesLeft > 0) {
+          resumesLeft--;
+          response = await this._resumeStream(request, stream.lastEventId, decoder.retry, controller.signal, resumeTimeout);
+          if (response === false) break;
+        }
+        if (!response) throw dropError || this._createStreamLostError();
+
+        if (this.debug) {
+          console.log("Resumed stream after", stream.lastEventId);
         }
+        callbacks.onResume?.({ lastEventId: stream.lastEventId });
       }
     } catch (error) {
-      clearTimeout(timeoutId);
+      timeout.stop();
+      idleTimeout?.stop();
+      resumeTimeout.stop();
       if (error.name === "AbortError") {
+        if (stalled) {
+          const stallError = this._createStallError();
+          if (handlers.onStall) handlers.onStall(stallError);
+          else handlers.onError(stallError);
+          return;
+        }
+        // Aborted via cancel() rather than the first-byte timeout
+        if (!timedOut && callbacks.onCancel) {
+          callbacks.onCancel();
+          return;
+        }
         const abortError = new Error("Request timed out or was cancelled");
         abortError.errorInfo = {
           type: "timeout",
           message: "Request timed out. The server took too long to respond.",
         };
-        callbacks.onError?.(abortError);
+        handlers.onError(abortError);
         return;
       }
-      callbacks.onError?.(error);
+      if (!error.errorInfo) error.errorInfo = this._detectErrorType(error);
+      handlers.onError(error);
     } finally {
       if (this._currentController === controller) {
         this._currentController = null;
@@ -920,6 +2749,171 @@ class ChatAPI {
     }
   }
 
+  /**
+   * Reads one SSE response body through the decoder, recording the last
+   * event ID and terminal events in `stream`
+   */
+  async _readEventStream(response, stream, decoder, onChunk) {
+    const reader = response.body.getReader();
+    const textDecoder = new TextDecoder();
+    decoder.reset();
+
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        onChunk();
+        decoder.push(textDecoder.decode(value, { stream: true }));
+        stream.lastEventId = decoder.lastEventId || null;
+      }
+      decoder.push(textDecoder.decode());
+      decoder.end();
+    } catch (error) {
+      // Stops the download if the connection is still up, e.g. after a hook threw
+      reader.cancel().catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Routes a decoded SSE event to the matching callback
+   */
+  _dispatchStreamEvent(event, stream, callbacks) {
+    if (event.data === "[DONE]") return;
+
+    let parsed;
+    try {
+      parsed = JSON.parse(event.data);
+    } catch (_) {
+      // Skip malformed JSON payloads
+      return;
+    }
+
+    switch (event.type) {
+      case "delta":
+        if (parsed.content) callbacks.onDelta?.(parsed.content);
+        break;
+      case "reasoning":
+        if (parsed.content) callbacks.onReasoning?.(parsed.content);
+        break;
+      case "tool":
+        if (parsed.name || parsed.label) callbacks.onTool?.(parsed);
+        break;
+      case "sources":
+        if (parsed.sources) callbacks.onSources?.(parsed.sources);
+        break;
+      case "done":
+        stream.finished = true;
+        callbacks.onDone?.(parsed);
+        break;
+      case "error":
+        stream.finished = true;
+        callbacks.onError?.(new Error(parsed.error || "Stream error"));
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Routes a decoded chat-completions chunk to the matching callback. The
+   * finish reason and the trailing usage chunk are reported with onDone once
+   * `[DONE]` arrives.
+   */
+  _dispatchOpenAIEvent(event, stream, callbacks) {
+    if (event.data === "[DONE]") {
+      stream.finished = true;
+      callbacks.onDone?.({
+        model: stream.model,
+        finishReason: stream.finishReason,
+        tokenCount: stream.usage?.total_tokens,
+        promptTokens: stream.usage?.prompt_tokens,
+        completionTokens: stream.usage?.completion_tokens,
+      });
+      return;
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(event.data);
+    } catch (_) {
+      // Skip malformed JSON payloads
+      return;
+    }
+
+    if (parsed.error) {
+      stream.finished = true;
+      callbacks.onError?.(new Error(this._errorMessage(parsed, "Stream error")));
+      return;
+    }
+    if (parsed.model) stream.model = parsed.model;
+    if (parsed.usage) stream.usage = parsed.usage;
+
+    const choice = parsed.choices?.[0];
+    if (!choice) return;
+    // vLLM/DeepSeek name it reasoning_content, Ollama/OpenRouter reasoning
+    const reasoning = choice.delta?.reasoning_content || choice.delta?.reasoning;
+    if (reasoning) callbacks.onReasoning?.(reasoning);
+    // Only the first chunk of a tool call carries its name
+    for (const call of choice.delta?.tool_calls || []) {
+      if (call.function?.name) callbacks.onTool?.({ id: call.id, name: call.function.name });
+    }
+    if (choice.delta?.content) callbacks.onDelta?.(choice.delta.content);
+    if (choice.finish_reason) stream.finishReason = choice.finish_reason;
+  }
+
+  /**
+   * Reconnects a dropped stream with Last-Event-ID so the server replays the
+   * remaining events, after the server's `retry:` interval if it sent one.
+   * That interval is capped like any other retry wait, at the retry
+   * maxDelay. `timeout` runs from the request until the caller sees the
+   * first bytes. Returns the response, null to try again, or false if the
+   * server can no longer resume this stream.
+   */
+  async _resumeStream(request, lastEventId, retryDelay, signal, timeout) {
+    const maxDelay = this.retry?.maxDelay ?? TIMINGS.RETRY_MAX_DELAY;
+    timeout.stop();
+    await this._wait(Math.min(retryDelay ?? TIMINGS.STREAM_RESUME_DELAY, maxDelay), signal);
+    timeout.start();
+    let response;
+    try {
+      response = await this._fetch(request.url, {
+        method: "POST",
+        headers: { ...request.headers, "Last-Event-ID": lastEventId },
+        body: JSON.stringify(request.body),
+        signal,
+      });
+    } catch (error) {
+      if (error.name === "AbortError") throw error;
+      return null;
+    }
+    if (response.ok) return this._runResponseHooks(response, request);
+    if (response.status === 401 && this.refreshAuthToken) {
+      response.body?.cancel().catch(() => {});
+      return (await this._refreshAuth(request)) ? null : false;
+    }
+    return response.status >= 500 ? null : false;
+  }
+
+  /**
+   * Error reported when a stream drops and cannot be resumed
+   */
+  _createStreamLostError() {
+    const error = new Error(_t(this.lang, "errorStreamLost"));
+    error.errorInfo = { type: "network", message: _t(this.lang, "errorStreamLost") };
+    return error;
+  }
+
+  /**
+   * Error reported when a stream goes silent for longer than the idle timeout
+   */
+  _createStallError() {
+    const error = new Error(_t(this.lang, "errorStreamStalled"));
+    error.errorInfo = { type: "timeout", message: _t(this.lang, "errorStreamStalled") };
+    return error;
+  }
+
   /**
    * Extracts content and sources from API response
    */
@@ -949,12 +2943,24 @@ class ChatAPI {
       console.log("Citation numbers found in content:", citationMatches);
     }
 
+    const message = data.choices?.[0]?.message;
+    const reasoning = data.reasoningContent || message?.reasoning_content || message?.reasoning || null;
+    const tools = (data.toolCalls || message?.tool_calls || [])
+      .map((call) => ({ id: call.id, name: call.function?.name || call.name }))
+      .filter((tool) => tool.name);
+
     return {
       content,
+      reasoning,
+      tools,
       sources: ChatValidators.validateSources(sources),
       traceId: data.traceId,
       sessionId: data.sessionId,
       model: data.model,
+      tokenCount: data.tokenCount ?? data.usage?.total_tokens,
+      promptTokens: data.promptTokens ?? data.usage?.prompt_tokens,
+      completionTokens: data.completionTokens ?? data.usage?.completion_tokens,
+      finishReason: data.finishReason ?? data.choices?.[0]?.finish_reason,
     };
   }
 
@@ -973,7 +2979,9 @@ class ChatAPI {
    */
   _detectErrorType(error, response) {
     const lang = this.lang;
-    if (error.name === "TypeError" && error.message.includes("fetch")) {
+    // "Failed to fetch" (Chromium), "NetworkError when attempting to fetch
+    // resource." (Firefox), "Load failed" (Safari)
+    if (error.name === "TypeError" && /fetch|load failed/i.test(error.message)) {
       return { type: "network", message: _t(lang, "errorNetwork") };
     }
 
@@ -1012,20 +3020,44 @@ class MessageRenderer {
     this.options = options;
     this._rendererLoaded = null;
     this._md = null;
+    this._exportMd = null;
   }
 
   /**
    * Formats message from markdown to HTML
    */
   formatMessage(content) {
-    if (this._md) {
+    return this._render(this._md, content);
+  }
+
+  /**
+   * Formats a message for a standalone page. Math is rendered as MathML,
+   * which needs neither the KaTeX stylesheet nor its fonts.
+   */
+  formatForExport(content) {
+    if (!this._exportMd && window.markdownit && window.texmath && window.katex) {
+      this._exportMd = window.markdownit({ breaks: true })
+        .use(window.texmath, {
+          engine: window.katex,
+          delimiters: ["dollars", "brackets", "beg_end"],
+          katexOptions: { throwOnError: false, output: "mathml" },
+        });
+    }
+    return this._render(this._exportMd || this._md, content);
+  }
+
+  /**
+   * Renders markdown with `md`, tidying the math delimiters LLMs tend to get wrong
+   */
+  _render(md, content) {
+    if (md) {
       // LLMs sometimes use $\n...\n$ for display math — normalize to $$
       content = content.replace(/(?<!\$)\$\n([\s\S]+?)\n\$(?!\$)/g, (_, inner) => `$$\n${inner}\n$$`);
       // LLMs often output $ f(x) $ with spaces — texmath requires no spaces after/before $.
       // Convert to \(...\) only when content contains LaTeX markers to avoid currency false-matches.
       content = content.replace(/(?<!\$)\$ +((?:[^$]*?[\\^_{}])[^$]*?) +\$(?!\$)/g, (_, inner) => `\\(${inner.trim()}\\)`);
       try {
-        return this._md.render(content);
+        return md.render(content);
       } catch (e) {
         console.warn("Chat Widget: Math render failed, falling back to plain markdown", e);
       }
@@ -1043,16 +3075,7 @@ class MessageRenderer {
     if (!messageBubble) return;
 
     let content = messageBubble.innerHTML;
-    const citations = {};
-
-    const citationMatches = content.match(/\[(\d+)\]/g);
-    const citationNumbers = citationMatches
-      ? citationMatches.map((match) => parseInt(match.slice(1, -1)))
-      : [];
-
-    if (sources && sources.length > 0 && citationNumbers.length > 0) {
-      this._extractCitationsFromSources(sources, citationNumbers, citations);
-    }
+    const citations = this.extractCitations(content, sources);
 
     // Replace citation numbers with clickable links
     content = content.replace(/\[(\d+)\]/g, (match, num) => {
@@ -1070,6 +3093,22 @@ class MessageRenderer {
     }
   }
 
+  /**
+   * Citations referenced as [n] in `text`, keyed by number
+   */
+  extractCitations(text, sources = []) {
+    const citations = {};
+    const citationMatches = text.match(/\[(\d+)\]/g);
+    const citationNumbers = citationMatches
+      ? citationMatches.map((match) => parseInt(match.slice(1, -1)))
+      : [];
+
+    if (sources && sources.length > 0 && citationNumbers.length > 0) {
+      this._extractCitationsFromSources(sources, citationNumbers, citations);
+    }
+    return citations;
+  }
+
   /**
    * Adds copy buttons to code blocks
    */
@@ -1334,6 +3373,381 @@ class MessageRenderer {
   }
 }
 
+/**
+ * Renders a streamed answer into its bubble incrementally. Blocks that ended
+ * before the last blank line are rendered once and left in place; only the
+ * trailing block is re-rendered on each update, so cost stays proportional to
+ * the new text and selections in earlier blocks survive. The text is expected
+ * to only grow between updates.
+ */
+class StreamingRenderer {
+  constructor(renderer, container) {
+    this.renderer = renderer;
+    this.container = container;
+    this._frozenLength = 0;
+    this._tailNodes = null;
+  }
+
+  /**
+   * Renders the latest accumulated text
+   */
+  update(text) {
+    // The first update takes over the bubble, e.g. one holding an answer being continued
+    if (!this._tailNodes) {
+      this.container.innerHTML = "";
+      this._tailNodes = [];
+    }
+
+    const { boundary, fence, mathStart } = this._scan(text);
+    if (boundary > this._frozenLength) {
+      const frozen = text.slice(this._frozenLength, boundary);
+      this._insert(this.renderer.formatMessage(frozen), this._tailNodes[0] || null);
+      this._frozenLength = boundary;
+    }
+
+    // An open code fence is closed provisionally; display math stays
+    // source text until its closing delimiter arrives
+    let tail = text.slice(this._frozenLength, mathStart ?? text.length);
+    if (fence) tail += `\n${fence}`;
+    let html = tail.trim() ? this.renderer.formatMessage(tail) : "";
+    if (mathStart != null) {
+      html += `<div class="math-pending">${ChatValidators.escapeHtml(text.slice(mathStart))}</div>`;
+    }
+
+    this._tailNodes.forEach((node) => node.remove());
+    this._tailNodes = this._insert(html, null);
+  }
+
+  /**
+   * Replaces the pieces with one full render of the finished text
+   */
+  finish(text) {
+    this.container.innerHTML = this.renderer.formatMessage(text);
+    this._frozenLength = 0;
+    this._tailNodes = null;
+  }
+
+  /**
+   * Walks the unfrozen lines and finds the start of the last block that
+   * follows a blank line outside code fences and display math, plus the
+   * fence or math block still open at the end of the text. A list is one
+   * block however loose, so rendering it in pieces cannot restart it.
+   */
+  _scan(text) {
+    let boundary = this._frozenLength;
+    let fence = null;
+    let mathStart = null;
+    let mathClose = null;
+    let prevBlank = false;
+    let inList = false;
+    let pos = this._frozenLength;
+
+    while (pos < text.length) {
+      const newline = text.indexOf("\n", pos);
+      const end = newline === -1 ? text.length : newline;
+      const line = text.slice(pos, end);
+      const trimmed = line.trim();
+
+      if (fence) {
+        if (trimmed.startsWith(fence) && /^(`+|~+)$/.test(trimmed)) fence = null;
+      } else if (mathClose) {
+        const closed = mathClose === "$$"
+          ? (line.match(/\$\$/g) || []).length % 2 === 1
+          : mathClose === "$" ? trimmed === "$" : line.includes(mathClose);
+        if (closed) {
+          mathClose = null;
+          mathStart = null;
+        }
+      } else {
+        // Indented lines after a blank line may still belong to a list item,
+        // and a further item continues a loose list
+        const startsBlock = prevBlank && trimmed && !/^[ \t]/.test(line);
+        const listItem = /^(?:[*+-]|\d{1,9}[.)])(?:[ \t]|$)/.test(line);
+        if (startsBlock && !(listItem && inList)) boundary = pos;
+        if (listItem) {
+          inList = true;
+        } else if (startsBlock) {
+          inList = false;
+        }
+        const opener = trimmed.match(/^(`{3,}|~{3,})/);
+        if (opener) {
+          fence = opener[1];
+        } else if ((line.match(/\$\$/g) || []).length % 2 === 1) {
+          mathClose = "$$";
+        } else if (trimmed === "$") {
+          mathClose = "$";
+        } else if (trimmed.startsWith("\\[") && !trimmed.includes("\\]")) {
+          mathClose = "\\]";
+        }
+        if (mathClose) mathStart = pos;
+      }
+
+      prevBlank = !fence && !mathClose && !trimmed;
+      pos = end + 1;
+    }
+
+    return { boundary, fence, mathStart };
+  }
+
+  /**
+   * Parses rendered HTML and inserts its nodes before `before` (or at the end)
+   */
+  _insert(html, before) {
+    const template = document.createElement("template");
+    template.innerHTML = html; // already sanitized by MessageRenderer
+    const nodes = [...template.content.childNodes];
+    this.container.insertBefore(template.content, before);
+    return nodes;
+  }
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+/**
+ * Serializes a conversation as Markdown, JSON or a printable HTML page, and
+ * reads the JSON back in. A conversation is { title, history, exportedAt }.
+ */
+class ConversationExporter {
+  static FORMAT = "universal-chat-conversation";
+  static VERSION = 1;
+
+  constructor(renderer, options) {
+    this.renderer = renderer;
+    this.options = options;
+    this._dateFormatter = new Intl.DateTimeFormat(options.language, {
+      dateStyle: "medium",
+      timeStyle: "short",
+    });
+  }
+
+  /**
+   * Builds the file for `format` ("markdown", "json" or "html")
+   * @returns {{ filename: string, type: string, content: string }}
+   */
+  export(format, conversation) {
+    const name = this._fileName(conversation);
+    switch (format) {
+      case "markdown":
+        return { filename: `${name}.md`, type: "text/markdown", content: this.toMarkdown(conversation) };
+      case "html":
+        return { filename: `${name}.html`, type: "text/html", content: this.toHTML(conversation) };
+      default:
+        return { filename: `${name}.json`, type: "application/json", content: this.toJSON(conversation) };
+    }
+  }
+
+  /**
+   * Markdown with math kept as `$…$` / `$$…$$` and references listed per answer
+   */
+  toMarkdown({ title, history, exportedAt }) {
+    const lang = this.options.language;
+    const parts = [
+      `# ${title}`,
+      `_${_t(lang, "exportedAt").replace("{date}", this._formatDate(exportedAt))}_`,
+    ];
+    this._messages(history).forEach((msg) => {
+      const time = msg.timestamp ? ` · ${this._formatDate(msg.timestamp)}` : "";
+      parts.push(`## ${this._sender(msg)}${time}`, this._dollarMath(msg.content.trim()));
+      const citations = Object.entries(this.renderer.extractCitations(msg.content, msg.sources));
+      if (citations.length > 0) {
+        const lines = citations.map(([num, cite]) => {
+          const name = cite.sourceUrl ? `[${cite.sourceName}](${cite.sourceUrl})` : cite.sourceName;
+          const snippet = cite.snippet ? `: _${cite.snippet}…_` : "";
+          return `${num}. ${name}${snippet}`;
+        });
+        parts.push(`**${_t(lang, "references")}**\n\n${lines.join("\n")}`);
+      }
+    });
+    return `${parts.join("\n\n")}\n`;
+  }
+
+  /**
+   * JSON that `parse()` turns back into a thread
+   */
+  toJSON({ title, history, exportedAt }) {
+    const data = {
+      format: ConversationExporter.FORMAT,
+      version: ConversationExporter.VERSION,
+      title,
+      exportedAt: new Date(exportedAt).toISOString(),
+      messages: this._messages(history).map((msg) => ({
+        role: msg.role,
+        content: msg.content,
+        ...(msg.timestamp && { timestamp: new Date(msg.timestamp).toISOString() }),
+        ...(msg.sources?.length && { sources: msg.sources }),
+        ...(msg.reasoning && { reasoning: msg.reasoning }),
+        ...(msg.tools?.length && { tools: msg.tools }),
+      })),
+    };
+    return JSON.stringify(data, null, 2);
+  }
+
+  /**
+   * A self-contained page: inline styles, math as MathML, no scripts
+   */
+  toHTML({ title, history, exportedAt }) {
+    const lang = this.options.language;
+    const escape = ChatValidators.escapeHtml;
+    const articles = this._messages(history).map((msg) => {
+      const time = msg.timestamp
+        ? ` <time datetime="${new Date(msg.timestamp).toISOString()}">${escape(this._formatDate(msg.timestamp))}</time>`
+        : "";
+      return `<article class="message ${msg.role}">
+<header><strong>${escape(this._sender(msg))}</strong>${time}</header>
+<div class="message-bubble">${this._renderForPage(msg)}</div>
+</article>`;
+    });
+    return `<!DOCTYPE html>
+<html lang="${escape(lang)}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escape(title)}</title>
+<style>${this._pageStyles()}</style>
+</head>
+<body>
+<h1>${escape(title)}</h1>
+<p class="exported">${escape(_t(lang, "exportedAt").replace("{date}", this._formatDate(exportedAt)))}</p>
+${articles.join("\n")}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Reads an exported JSON file into { title, history }. Unknown fields are
+   * dropped and sources are validated like server data.
+   * @throws {Error} if the text is not a conversation export
+   */
+  static parse(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error("Not a JSON file");
+    }
+    if (data?.format !== ConversationExporter.FORMAT || !Array.isArray(data.messages)) {
+      throw new Error("Not a conversation export");
+    }
+    if (data.version > ConversationExporter.VERSION) {
+      throw new Error(`Unsupported export version ${data.version}`);
+    }
+
+    const history = data.messages
+      .filter((msg) => (msg?.role === "user" || msg?.role === "assistant") && typeof msg.content === "string")
+      .map((msg) => {
+        const timestamp = Date.parse(msg.timestamp);
+        const sources = ChatValidators.validateSources(msg.sources);
+        const tools = Array.isArray(msg.tools) ? msg.tools.filter((tool) => typeof tool === "string") : [];
+        return {
+          role: msg.role,
+          content: msg.content,
+          ...(!isNaN(timestamp) && { timestamp }),
+          ...(sources.length && { sources }),
+          ...(typeof msg.reasoning === "string" && msg.reasoning && { reasoning: msg.reasoning }),
+          ...(tools.length && { tools }),
+        };
+      });
+    if (history.length === 0) throw new Error("The export contains no messages");
+
+    const title = typeof data.title === "string"
+      ? data.title.replace(/\s+/g, " ").trim().slice(0, LIMITS.THREAD_TITLE_LENGTH)
+      : "";
+    return { title, history };
+  }
+
+  /**
+   * The user and assistant turns of a history
+   */
+  _messages(history) {
+    return history.filter((msg) => msg.role === "user" || msg.role === "assistant");
+  }
+
+  /**
+   * Sender label of a message
+   */
+  _sender(msg) {
+    return _t(this.options.language, msg.role === "user" ? "senderYou" : "senderAssistant");
+  }
+
+  /**
+   * Formats a timestamp with date and time
+   */
+  _formatDate(timestamp) {
+    return this._dateFormatter.format(new Date(timestamp));
+  }
+
+  /**
+   * File name from the title and export date, e.g. "linear-regression-2026-10-19"
+   */
+  _fileName({ title, exportedAt }) {
+    const slug = title
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 40);
+    const date = new Date(exportedAt).toISOString().slice(0, 10);
+    return `${slug || "conversation"}-${date}`;
+  }
+
+  /**
+   * Rewrites `\(…\)` and `\[…\]` math as `$…$` and `$$…$$`, outside code
+   */
+  _dollarMath(text) {
+    return text
+      .split(/(```[\s\S]*?```|~~~[\s\S]*?~~~|`[^`\n]*`)/)
+      .map((part, i) => (i % 2 === 1
+        ? part
+        : part
+          .replace(/\\\[([\s\S]+?)\\\]/g, (_, inner) => `$$${inner}$$`)
+          .replace(/\\\((.+?)\\\)/g, (_, inner) => `$${inner.trim()}$`)
+          .replace(/(?<!\$)\$ +((?:[^$]*?[\\^_{}])[^$]*?) +\$(?!\$)/g, (_, inner) => `$${inner.trim()}$`)))
+      .join("");
+  }
+
+  /**
+   * Message HTML for the printable page, with its references section
+   */
+  _renderForPage(msg) {
+    const wrapper = document.createElement("div");
+    const bubble = document.createElement("div");
+    bubble.className = "message-bubble";
+    bubble.innerHTML = this.renderer.formatForExport(msg.content);
+    wrapper.appendChild(bubble);
+    this.renderer.renderCitations(wrapper, msg.sources || []);
+    // Citation links have nothing to open on a static page
+    bubble.querySelectorAll(".citation-link").forEach((link) => {
+      ["role", "tabindex", "title", "aria-label"].forEach((attr) => link.removeAttribute(attr));
+    });
+    return bubble.innerHTML;
+  }
+
+  /**
+   * Styles of the printable page
+   */
+  _pageStyles() {
+    return `
+      body { max-width: 46rem; margin: 2rem auto; padding: 0 1rem; font: 16px/1.5 system-ui, sans-serif; color: #222; }
+      h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+      .exported { color: #666; font-size: 0.85rem; margin-top: 0; }
+      .message { margin: 1.5rem 0; padding: 0.75rem 1rem; border-left: 3px solid #ccc; break-inside: avoid-page; }
+      .message.user { border-color: #4a6fa5; background: #f4f7fb; }
+      .message header { font-size: 0.85rem; color: #555; margin-bottom: 0.5rem; }
+      .message time { margin-left: 0.5rem; }
+      pre, code { font-family: ui-monospace, Menlo, Consolas, monospace; font-size: 0.9em; }
+      pre { background: #f5f5f5; padding: 0.5rem; overflow-x: auto; white-space: pre-wrap; }
+      table { border-collapse: collapse; }
+      th, td { border: 1px solid #ccc; padding: 0.25rem 0.5rem; }
+      .references-section { margin-top: 0.75rem; font-size: 0.85rem; }
+      .references-section h4 { margin: 0 0 0.25rem; }
+      .citation-link { color: #4a6fa5; }
+      @media print { body { margin: 0; max-width: none; } a { color: inherit; } }
+    `;
+  }
+}
+
 // ============================================================================
 // STYLE GENERATION
 // ============================================================================
@@ -1603,63 +4017,181 @@ class StyleGenerator {
         color: var(--chat-title-fg);
       }
 
-      .chat-header-subtitle {
-        margin: 0;
-        font-size: var(--chat-subtitle-size, 0.65rem);
-        font-weight: 400;
-        color: var(--chat-subtitle-color, var(--chat-title-fg));
-        opacity: 0.75;
-        line-height: 1.3;
-      }
-      .chat-header-subtitle a {
+      .chat-header-subtitle {
+        margin: 0;
+        font-size: var(--chat-subtitle-size, 0.65rem);
+        font-weight: 400;
+        color: var(--chat-subtitle-color, var(--chat-title-fg));
+        opacity: 0.75;
+        line-height: 1.3;
+      }
+      .chat-header-subtitle a {
+        color: inherit;
+        text-decoration: underline;
+        text-underline-offset: 2px;
+      }
+      .chat-header-subtitle a:hover {
+        opacity: 1;
+      }
+      .chat-header-subtitle a:focus-visible {
+        opacity: 1;
+        outline: 2px solid var(--chat-stamp-color);
+        outline-offset: 2px;
+        border-radius: 2px;
+      }
+
+      .chat-header-actions {
+        display: flex;
+        gap: 0.5rem;
+      }
+
+      .chat-header-btn {
+        background: transparent;
+        border: none;
+        color: var(--chat-title-fg);
+        width: 44px;
+        height: 44px;
+        cursor: pointer;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        transition: opacity 0.2s;
+      }
+
+      .chat-header-btn:hover,
+      .chat-header-btn:focus {
+        color: var(--chat-stamp-color) !important;
+        transform: scale(1.1);
+        opacity: 1 !important;
+        outline: none !important;
+      }
+
+      .model-info {
+        font-size: 0.7rem;
+        color: var(--chat-stamp-color);
+        text-align: center;
+        padding: 0.25rem;
+        background: var(--chat-code-bg-alpha);
+        margin: 0 1rem;
+        border-radius: var(--chat-radius);
+      }
+
+      .chat-threads {
+        flex: 1;
+        overflow-y: auto;
+        padding: 1rem;
+        color: var(--chat-assistant-fg);
+      }
+
+      .chat-threads[hidden],
+      .threads-open .chat-messages,
+      .threads-open .chat-input-area {
+        display: none;
+      }
+
+      .chat-thread-new,
+      .chat-thread-select,
+      .chat-thread-action {
+        background: none;
+        border: none;
+        color: inherit;
+        font: inherit;
+        cursor: pointer;
+      }
+
+      .chat-thread-new {
+        width: 100%;
+        padding: 0.5rem;
+        margin-bottom: 0.5rem;
+        border: 1px dashed var(--chat-border-assistant);
+        border-radius: var(--chat-radius);
+      }
+
+      .chat-thread-list {
+        list-style: none;
+        margin: 0;
+        padding: 0;
+      }
+
+      .chat-thread {
+        display: flex;
+        align-items: center;
+        gap: 0.25rem;
+        border-bottom: 1px solid var(--chat-border-assistant);
+      }
+
+      .chat-thread[aria-current] .chat-thread-select {
+        font-weight: 600;
+      }
+
+      .chat-thread-select,
+      .chat-thread-title-input {
+        flex: 1;
+        min-width: 0;
+        padding: 0.5rem 0.25rem;
+        text-align: left;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+
+      .chat-thread-title-input {
+        font: inherit;
         color: inherit;
+        background: var(--chat-code-bg-alpha);
+        border: 1px solid var(--chat-border-input);
+        border-radius: var(--chat-radius);
+      }
+
+      .chat-thread-action {
+        flex-shrink: 0;
+        padding: 0.25rem;
+        font-size: 0.75rem;
+        color: var(--chat-stamp-color);
         text-decoration: underline;
-        text-underline-offset: 2px;
       }
-      .chat-header-subtitle a:hover {
-        opacity: 1;
+
+      .chat-thread-action[data-confirm] {
+        font-weight: 600;
       }
-      .chat-header-subtitle a:focus-visible {
-        opacity: 1;
-        outline: 2px solid var(--chat-stamp-color);
-        outline-offset: 2px;
-        border-radius: 2px;
+
+      .chat-export {
+        position: relative;
       }
 
-      .chat-header-actions {
+      .chat-export-menu {
+        position: absolute;
+        top: 100%;
+        right: 0;
+        z-index: 1;
         display: flex;
-        gap: 0.5rem;
+        flex-direction: column;
+        min-width: 12rem;
+        padding: 0.25rem 0;
+        background: var(--chat-background);
+        border: 1px solid var(--chat-border-window);
+        border-radius: var(--chat-radius);
+        box-shadow: var(--btn-shadow);
       }
 
-      .chat-header-btn {
-        background: transparent;
-        border: none;
-        color: var(--chat-title-fg);
-        width: 44px;
-        height: 44px;
-        cursor: pointer;
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        transition: opacity 0.2s;
+      .chat-export-menu[hidden] {
+        display: none;
       }
 
-      .chat-header-btn:hover,
-      .chat-header-btn:focus {
-        color: var(--chat-stamp-color) !important;
-        transform: scale(1.1);
-        opacity: 1 !important;
-        outline: none !important;
+      .chat-export-menu button {
+        background: none;
+        border: none;
+        padding: 0.5rem 0.75rem;
+        text-align: left;
+        font: inherit;
+        font-size: 0.85rem;
+        color: var(--chat-assistant-fg);
+        cursor: pointer;
       }
 
-      .model-info {
-        font-size: 0.7rem;
-        color: var(--chat-stamp-color);
-        text-align: center;
-        padding: 0.25rem;
+      .chat-export-menu button:hover,
+      .chat-export-menu button:focus {
         background: var(--chat-code-bg-alpha);
-        margin: 0 1rem;
-        border-radius: var(--chat-radius);
       }
     `;
   }
@@ -1773,6 +4305,12 @@ class StyleGenerator {
       .typing-indicator span:nth-child(2) { animation-delay: 0.2s; }
       .typing-indicator span:nth-child(3) { animation-delay: 0.4s; }
 
+      .typing-status {
+        margin-top: 0.25rem;
+        font-size: 0.75rem;
+        color: var(--chat-stamp-color);
+      }
+
       .stream-error-notice {
         margin-top: 0.5rem;
         padding: 0.4rem 0.6rem;
@@ -1782,6 +4320,137 @@ class StyleGenerator {
         font-style: italic;
       }
 
+      .reasoning-panel {
+        margin-bottom: 0.35rem;
+        font-size: 0.85em;
+        color: var(--chat-stamp-color);
+      }
+
+      .reasoning-panel summary {
+        cursor: pointer;
+        font-style: italic;
+      }
+
+      .reasoning-content {
+        margin-top: 0.35rem;
+        padding-left: 0.6rem;
+        border-left: 2px solid var(--chat-border-assistant);
+        max-height: 12rem;
+        overflow-y: auto;
+      }
+
+      .reasoning-panel + .message-bubble:empty {
+        display: none;
+      }
+
+      .tool-trace {
+        margin-top: 0.25rem;
+        font-size: 0.75rem;
+        color: var(--chat-stamp-color);
+      }
+
+      .tool-trace summary {
+        cursor: pointer;
+      }
+
+      .tool-trace ol {
+        margin: 0.25rem 0 0;
+        padding-left: 1.25rem;
+      }
+
+      .message-usage {
+        margin-top: 0.25rem;
+        font-size: 0.7rem;
+        color: var(--chat-stamp-color);
+        font-variant-numeric: tabular-nums;
+      }
+
+      .message-actions {
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+        margin-top: 0.25rem;
+        font-size: 0.7rem;
+        color: var(--chat-stamp-color);
+      }
+
+      .message.user .message-actions {
+        justify-content: flex-end;
+      }
+
+      .message-actions button,
+      .message-edit-buttons button {
+        background: none;
+        border: none;
+        padding: 0.125rem 0.25rem;
+        font: inherit;
+        color: inherit;
+        cursor: pointer;
+      }
+
+      .message-actions button:disabled {
+        opacity: 0.4;
+        cursor: default;
+      }
+
+      .message-branch-nav {
+        display: inline-flex;
+        align-items: center;
+        font-variant-numeric: tabular-nums;
+      }
+
+      .message-edit textarea {
+        width: 100%;
+        box-sizing: border-box;
+        padding: 0.5rem;
+        font: inherit;
+        color: var(--chat-input-fg);
+        background: var(--chat-code-bg-alpha);
+        border: 1px solid var(--chat-border-input);
+        border-radius: var(--chat-radius);
+        resize: vertical;
+      }
+
+      .message-edit-buttons {
+        display: flex;
+        justify-content: flex-end;
+        gap: 0.5rem;
+        margin-top: 0.25rem;
+        font-size: 0.75rem;
+        color: var(--chat-stamp-color);
+      }
+
+      .stream-stopped-notice {
+        margin-top: 0.5rem;
+        padding-top: 0.4rem;
+        font-size: 0.8em;
+        color: var(--chat-stamp-color);
+        border-top: 1px solid var(--chat-border-assistant);
+        font-style: italic;
+      }
+
+      .message.pending .message-bubble {
+        opacity: 0.6;
+      }
+
+      .message-pending-status {
+        margin-top: 0.25rem;
+        font-size: 0.75rem;
+        color: var(--chat-stamp-color);
+        text-align: right;
+      }
+
+      .pending-cancel-btn {
+        margin-left: 0.5rem;
+        padding: 0;
+        background: none;
+        border: none;
+        color: inherit;
+        font: inherit;
+        text-decoration: underline;
+        cursor: pointer;
+      }
+
       .message.error {
         text-align: center;
         margin: 1rem 0;
@@ -1839,6 +4508,40 @@ class StyleGenerator {
         z-index: 10;
       }
 
+      .chat-toast {
+        position: absolute;
+        bottom: 100%;
+        left: 0;
+        right: 0;
+        margin-bottom: 0.5rem;
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        gap: 0.75rem;
+        padding: 0.5rem 0.75rem;
+        background: var(--chat-title-bg);
+        color: var(--chat-title-fg);
+        border-radius: var(--chat-radius);
+        box-shadow: var(--win-shadow-input);
+        font-size: 0.875rem;
+      }
+
+      .chat-toast button {
+        padding: 0.25rem 0.75rem;
+        background: transparent;
+        color: inherit;
+        border: 1px solid currentColor;
+        border-radius: var(--chat-radius);
+        cursor: pointer;
+        font: inherit;
+        font-weight: 600;
+      }
+
+      .chat-toast button:hover,
+      .chat-toast button:focus-visible {
+        background: rgba(255, 255, 255, 0.15);
+      }
+
       .chat-input-container {
         display: flex;
         border: 1px solid var(--chat-border-input);
@@ -1899,6 +4602,11 @@ class StyleGenerator {
         outline: none !important;
       }
 
+      .chat-send-btn.stop-mode {
+        background: var(--chat-stamp-color);
+        color: var(--chat-title-fg);
+      }
+
       .chat-send-btn:disabled,
       .chat-send-btn[aria-disabled="true"] {
         opacity: 0.5;
@@ -1950,6 +4658,13 @@ class StyleGenerator {
         border: 1px solid var(--chat-border-code);
       }
 
+      .message-bubble .math-pending {
+        font-family: 'SFMono-Regular', 'Menlo', 'Monaco', 'Consolas', 'Liberation Mono', monospace;
+        font-size: 0.9em;
+        white-space: pre-wrap;
+        opacity: 0.6;
+      }
+
       .message-bubble pre code {
         background: transparent;
         padding: 0;
@@ -2348,6 +5063,7 @@ class StyleGenerator {
       .chat-header-btn:focus-visible,
       .chat-send-btn:focus-visible,
       .retry-btn:focus-visible,
+      .pending-cancel-btn:focus-visible,
       .code-copy-btn:focus-visible {
         outline: none;
         box-shadow: 0 0 0 2px var(--chat-background),
@@ -2705,11 +5421,217 @@ class ChatUI {
       <div class="message-bubble">${content}</div>
       <div class="message-time" aria-hidden="true">${time}</div>
     `;
+    this._appendMessage(messageEl);
+    this._scrollToBottom();
+    return messageEl;
+  }
+
+  /**
+   * Appends to the message list, keeping queued offline messages at the end
+   */
+  _appendMessage(el) {
+    const firstPending = this.elements.messages.querySelector(".message.pending");
+    this.elements.messages.insertBefore(el, firstPending);
+  }
+
+  /**
+   * Shows a queued message that will be sent once the connection is back
+   */
+  addPendingMessage(id, content) {
+    const lang = this.options.language;
+    const messageEl = document.createElement("div");
+    messageEl.className = "message user pending";
+    messageEl.dataset.outboxId = id;
+    messageEl.setAttribute("role", "article");
+    messageEl.setAttribute("aria-label", `${_t(lang, "messageFrom")} ${_t(lang, "senderYou")}: ${_t(lang, "pendingMessage")}`);
+    const bubble = document.createElement("div");
+    bubble.className = "message-bubble";
+    bubble.innerHTML = content; // already sanitized by MessageRenderer
+    const status = document.createElement("div");
+    status.className = "message-pending-status";
+    status.textContent = _t(lang, "pendingMessage");
+    const cancelBtn = document.createElement("button");
+    cancelBtn.className = "pending-cancel-btn";
+    cancelBtn.setAttribute("aria-label", _t(lang, "cancelPendingAriaLabel"));
+    cancelBtn.textContent = _t(lang, "cancelPending");
+    cancelBtn.addEventListener("click", () => this.eventBus.emit("cancelPending", id));
+    status.appendChild(cancelBtn);
+    messageEl.appendChild(bubble);
+    messageEl.appendChild(status);
     this.elements.messages.appendChild(messageEl);
     this._scrollToBottom();
     return messageEl;
   }
 
+  /**
+   * Shows the conversation list in place of the messages. `threads` are
+   * { id, title, current } items, newest first.
+   */
+  openThreadList(threads) {
+    if (!this.elements.threads) return;
+    this.renderThreadList(threads);
+    this.elements.threads.hidden = false;
+    this.elements.window.classList.add("threads-open");
+    this.elements.threadsBtn.setAttribute("aria-expanded", "true");
+    const current = this.elements.threads.querySelector("[aria-current] .chat-thread-select");
+    (current || this.elements.threads.querySelector("button")).focus();
+  }
+
+  /**
+   * Hides the conversation list again
+   */
+  closeThreadList() {
+    if (!this.isThreadListOpen()) return;
+    this.elements.threads.hidden = true;
+    this.elements.window.classList.remove("threads-open");
+    this.elements.threadsBtn.setAttribute("aria-expanded", "false");
+    this.elements.input.focus();
+  }
+
+  /**
+   * Whether the conversation list is showing
+   */
+  isThreadListOpen() {
+    return Boolean(this.elements.threads && !this.elements.threads.hidden);
+  }
+
+  /**
+   * Rebuilds the conversation list items
+   */
+  renderThreadList(threads) {
+    const list = this.elements.threads?.querySelector(".chat-thread-list");
+    if (!list) return;
+    const lang = this.options.language;
+    list.innerHTML = "";
+    threads.forEach((thread) => {
+      const item = document.createElement("li");
+      item.className = "chat-thread";
+      if (thread.current) item.setAttribute("aria-current", "true");
+
+      const selectBtn = document.createElement("button");
+      selectBtn.className = "chat-thread-select";
+      selectBtn.textContent = thread.title;
+      selectBtn.addEventListener("click", () => this.eventBus.emit("switchThread", thread.id));
+
+      const renameBtn = document.createElement("button");
+      renameBtn.className = "chat-thread-action";
+      renameBtn.textContent = _t(lang, "renameThread");
+      renameBtn.setAttribute("aria-label", _t(lang, "renameThreadAriaLabel").replace("{title}", thread.title));
+      renameBtn.addEventListener("click", () => this._editThreadTitle(item, thread));
+
+      // Deleting takes a second click on the same button
+      const deleteBtn = document.createElement("button");
+      deleteBtn.className = "chat-thread-action";
+      deleteBtn.textContent = _t(lang, "deleteThread");
+      deleteBtn.setAttribute("aria-label", _t(lang, "deleteThreadAriaLabel").replace("{title}", thread.title));
+      deleteBtn.addEventListener("click", () => {
+        if (deleteBtn.dataset.confirm) {
+          this.eventBus.emit("deleteThread", thread.id);
+        } else {
+          deleteBtn.dataset.confirm = "true";
+          deleteBtn.textContent = _t(lang, "confirmDeleteThread");
+        }
+      });
+      deleteBtn.addEventListener("blur", () => {
+        delete deleteBtn.dataset.confirm;
+        deleteBtn.textContent = _t(lang, "deleteThread");
+      });
+
+      item.appendChild(selectBtn);
+      item.appendChild(renameBtn);
+      item.appendChild(deleteBtn);
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Shows the export menu and focuses its first item
+   */
+  openExportMenu() {
+    if (!this.elements.exportMenu) return;
+    this.elements.exportMenu.hidden = false;
+    this.elements.exportBtn.setAttribute("aria-expanded", "true");
+    this.elements.exportMenu.querySelector("button").focus();
+  }
+
+  /**
+   * Hides the export menu
+   */
+  closeExportMenu() {
+    if (!this.isExportMenuOpen()) return;
+    this.elements.exportMenu.hidden = true;
+    this.elements.exportBtn.setAttribute("aria-expanded", "false");
+  }
+
+  /**
+   * Whether the export menu is showing
+   */
+  isExportMenuOpen() {
+    return Boolean(this.elements.exportMenu && !this.elements.exportMenu.hidden);
+  }
+
+  /**
+   * Saves `content` as a file through a temporary download link
+   */
+  downloadFile(filename, type, content) {
+    const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.hidden = true;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Revoked after the click so the download has started
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /**
+   * Swaps a thread's title for an input; Enter or leaving the field saves,
+   * Escape cancels
+   */
+  _editThreadTitle(item, thread) {
+    const selectBtn = item.querySelector(".chat-thread-select");
+    const input = document.createElement("input");
+    input.className = "chat-thread-title-input";
+    input.value = thread.title;
+    input.maxLength = LIMITS.THREAD_TITLE_LENGTH;
+    input.setAttribute("aria-label", _t(this.options.language, "renameThreadAriaLabel").replace("{title}", thread.title));
+    let done = false;
+    const finish = (save) => {
+      if (done) return;
+      done = true;
+      input.replaceWith(selectBtn);
+      if (save && input.value.trim() !== thread.title) {
+        this.eventBus.emit("renameThread", { id: thread.id, title: input.value.trim() });
+      } else {
+        selectBtn.focus();
+      }
+    };
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        finish(true);
+      } else if (e.key === "Escape") {
+        e.stopPropagation();
+        finish(false);
+      }
+    });
+    input.addEventListener("blur", () => finish(true));
+    selectBtn.replaceWith(input);
+    input.focus();
+    input.select();
+  }
+
+  /**
+   * Removes all queued-message bubbles
+   */
+  removePendingMessages() {
+    this.elements.messages
+      .querySelectorAll(".message.pending")
+      .forEach((el) => el.remove());
+  }
+
   /**
    * Creates a streaming assistant message bubble (empty, for in-place updates)
    */
@@ -2729,11 +5651,273 @@ class ChatUI {
     timeDiv.textContent = time;
     messageEl.appendChild(bubble);
     messageEl.appendChild(timeDiv);
-    this.elements.messages.appendChild(messageEl);
+    this._appendMessage(messageEl);
     this._scrollToBottom();
     return messageEl;
   }
 
+  /**
+   * Shows the model's reasoning above an assistant message, creating the
+   * panel on first use. Once `done`, the panel folds up so the answer leads.
+   */
+  setReasoning(messageEl, content, done) {
+    let panel = messageEl.querySelector(".reasoning-panel");
+    const lang = this.options.language;
+    if (!panel) {
+      panel = document.createElement("details");
+      panel.className = "reasoning-panel";
+      panel.open = !done;
+      const summary = document.createElement("summary");
+      const body = document.createElement("div");
+      body.className = "reasoning-content";
+      panel.appendChild(summary);
+      panel.appendChild(body);
+      messageEl.insertBefore(panel, messageEl.querySelector(".message-bubble"));
+    }
+    const body = panel.querySelector(".reasoning-content");
+    body.innerHTML = content; // already sanitized by MessageRenderer
+    if (panel.open) body.scrollTop = body.scrollHeight;
+
+    const summary = panel.querySelector("summary");
+    const label = _t(lang, done ? "reasoningDone" : "thinking");
+    if (summary.textContent !== label) {
+      summary.textContent = label;
+      if (done) panel.open = false;
+    }
+  }
+
+  /**
+   * Lists the tool steps behind an answer in a collapsed section under it
+   */
+  addToolTrace(messageEl, labels) {
+    if (!labels.length) return;
+    const trace = document.createElement("details");
+    trace.className = "tool-trace";
+    const summary = document.createElement("summary");
+    summary.textContent = _t(this.options.language, "toolTrace").replace("{count}", labels.length);
+    const list = document.createElement("ol");
+    labels.forEach((label) => {
+      const item = document.createElement("li");
+      item.textContent = label;
+      list.appendChild(item);
+    });
+    trace.appendChild(summary);
+    trace.appendChild(list);
+    messageEl.querySelector(".tool-trace")?.remove();
+    messageEl.insertBefore(trace, messageEl.querySelector(".message-time"));
+  }
+
+  /**
+   * Marks an assistant message as stopped before it was complete
+   */
+  addStoppedNotice(messageEl) {
+    const bubble = messageEl.querySelector(".message-bubble");
+    if (!bubble) return;
+    const notice = document.createElement("div");
+    notice.className = "stream-stopped-notice";
+    notice.textContent = _t(this.options.language, "responseStopped");
+    bubble.appendChild(notice);
+  }
+
+  /**
+   * Shows the usage line (tokens, timings) under an assistant message
+   */
+  setUsage(messageEl, text) {
+    messageEl.querySelector(".message-usage")?.remove();
+    if (!text) return;
+    const usage = document.createElement("div");
+    usage.className = "message-usage";
+    usage.textContent = text;
+    messageEl.insertBefore(usage, messageEl.querySelector(".message-time"));
+  }
+
+  /**
+   * Row of actions under a message, created on first use
+   */
+  _messageActions(messageEl) {
+    let actions = messageEl.querySelector(".message-actions");
+    if (!actions) {
+      actions = document.createElement("div");
+      actions.className = "message-actions";
+      messageEl.insertBefore(actions, messageEl.querySelector(".message-time"));
+    }
+    return actions;
+  }
+
+  /**
+   * Adds an edit action to a user message; saving resends it as a new branch
+   */
+  addEditAction(messageEl, id, content) {
+    const lang = this.options.language;
+    const editBtn = document.createElement("button");
+    editBtn.className = "message-edit-btn";
+    editBtn.textContent = _t(lang, "editMessage");
+    editBtn.setAttribute("aria-label", _t(lang, "editMessageAriaLabel"));
+    editBtn.addEventListener("click", () => this._editMessage(messageEl, id, content));
+    this._messageActions(messageEl).appendChild(editBtn);
+  }
+
+  /**
+   * Shows the branch arrows ("2/3") on a message where the conversation forks
+   */
+  setBranchNav(messageEl, id, variant, total) {
+    const lang = this.options.language;
+    const nav = document.createElement("div");
+    nav.className = "message-branch-nav";
+    nav.setAttribute("role", "group");
+    nav.setAttribute("aria-label", _t(lang, "branchNav"));
+
+    const arrow = (text, labelKey, target) => {
+      const btn = document.createElement("button");
+      btn.textContent = text;
+      btn.setAttribute("aria-label", _t(lang, labelKey));
+      btn.dataset.branchTarget = target;
+      btn.disabled = target < 0 || target >= total;
+      btn.addEventListener("click", () => this.eventBus.emit("switchBranch", { id, variant: target }));
+      return btn;
+    };
+    const position = document.createElement("span");
+    position.textContent = _t(lang, "branchPosition")
+      .replace("{current}", variant + 1)
+      .replace("{total}", total);
+
+    nav.appendChild(arrow("‹", "previousBranch", variant - 1));
+    nav.appendChild(position);
+    nav.appendChild(arrow("›", "nextBranch", variant + 1));
+    this._messageActions(messageEl).prepend(nav);
+  }
+
+  /**
+   * Adds a regenerate action to the last answer
+   */
+  addRegenerateAction(messageEl) {
+    const lang = this.options.language;
+    const regenerateBtn = document.createElement("button");
+    regenerateBtn.className = "message-regenerate-btn";
+    regenerateBtn.textContent = _t(lang, "regenerate");
+    regenerateBtn.setAttribute("aria-label", _t(lang, "regenerateAriaLabel"));
+    regenerateBtn.addEventListener("click", () => this.eventBus.emit("regenerate"));
+    this._messageActions(messageEl).appendChild(regenerateBtn);
+  }
+
+  /**
+   * Removes the regenerate action once the conversation moves on
+   */
+  removeRegenerateActions() {
+    this.elements.messages.querySelectorAll(".message-regenerate-btn").forEach((btn) => {
+      const actions = btn.parentElement;
+      btn.remove();
+      if (!actions.children.length) actions.remove();
+    });
+  }
+
+  /**
+   * Moves focus to the branch arrows of message `id` after a switch
+   */
+  focusBranchNav(id, variant) {
+    const messageEl = [...this.elements.messages.querySelectorAll("[data-message-id]")]
+      .find((el) => el.dataset.messageId === id);
+    const buttons = messageEl ? [...messageEl.querySelectorAll(".message-branch-nav button")] : [];
+    (buttons.find((btn) => !btn.disabled && Number(btn.dataset.branchTarget) !== variant) || buttons[0])?.focus();
+  }
+
+  /**
+   * Swaps a user message for an edit form. Enter or Send emits the edited
+   * text; Escape or Cancel restores the message.
+   */
+  _editMessage(messageEl, id, content) {
+    if (messageEl.querySelector(".message-edit")) return;
+    const lang = this.options.language;
+    const bubble = messageEl.querySelector(".message-bubble");
+    const actions = messageEl.querySelector(".message-actions");
+    const form = document.createElement("div");
+    form.className = "message-edit";
+    const input = document.createElement("textarea");
+    input.value = content;
+    input.rows = Math.min(6, content.split("\n").length + 1);
+    input.maxLength = LIMITS.MAX_MESSAGE_LENGTH;
+    input.setAttribute("aria-label", _t(lang, "editMessageInput"));
+    const buttons = document.createElement("div");
+    buttons.className = "message-edit-buttons";
+    const cancelBtn = document.createElement("button");
+    cancelBtn.textContent = _t(lang, "cancelEdit");
+    const sendBtn = document.createElement("button");
+    sendBtn.textContent = _t(lang, "resendMessage");
+    buttons.appendChild(cancelBtn);
+    buttons.appendChild(sendBtn);
+    form.appendChild(input);
+    form.appendChild(buttons);
+
+    const close = () => {
+      form.remove();
+      bubble.hidden = false;
+      if (actions) actions.hidden = false;
+      messageEl.querySelector(".message-edit-btn")?.focus();
+    };
+    const submit = () => {
+      const edited = input.value.trim();
+      if (!edited || edited === content) {
+        close();
+        return;
+      }
+      this.eventBus.emit("editMessage", { id, content: edited });
+    };
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Enter" && !e.shiftKey) {
+        e.preventDefault();
+        submit();
+      } else if (e.key === "Escape") {
+        e.stopPropagation();
+        close();
+      }
+    });
+    cancelBtn.addEventListener("click", close);
+    sendBtn.addEventListener("click", submit);
+
+    bubble.hidden = true;
+    if (actions) actions.hidden = true;
+    messageEl.insertBefore(form, bubble);
+    input.focus();
+  }
+
+  /**
+   * Marks an assistant message as incomplete and offers to continue it.
+   * `reasonKey` names the notice text: a stall, or a cut-off at the token limit.
+   */
+  addContinueAction(messageEl, reasonKey = "responseStalled") {
+    const bubble = messageEl.querySelector(".message-bubble");
+    if (!bubble) return;
+    const lang = this.options.language;
+    const notice = document.createElement("div");
+    notice.className = "stream-stopped-notice stream-continue-notice";
+    notice.setAttribute("role", "alert");
+    const text = document.createElement("span");
+    text.textContent = _t(lang, reasonKey);
+    notice.appendChild(text);
+    notice.appendChild(document.createElement("br"));
+    const continueBtn = document.createElement("button");
+    continueBtn.className = "retry-btn";
+    continueBtn.setAttribute("aria-label", _t(lang, "continueAriaLabel"));
+    continueBtn.textContent = _t(lang, "continueResponse");
+    notice.appendChild(continueBtn);
+    bubble.appendChild(notice);
+    this._scrollToBottom();
+
+    continueBtn.addEventListener("click", () => {
+      continueBtn.disabled = true;
+      this.eventBus.emit("continue", messageEl);
+    });
+  }
+
+  /**
+   * Removes continue actions once a newer turn makes them stale
+   */
+  removeContinueActions() {
+    this.elements.messages
+      .querySelectorAll(".stream-continue-notice")
+      .forEach((notice) => notice.remove());
+  }
+
   /**
    * Shows typing indicator
    */
@@ -2746,7 +5930,7 @@ class ChatUI {
     typingEl.setAttribute("aria-label", _t(this.options.language, "assistantTyping"));
     typingEl.innerHTML =
       '<div class="typing-indicator" aria-hidden="true"><span></span><span></span><span></span></div>';
-    this.elements.messages.appendChild(typingEl);
+    this._appendMessage(typingEl);
     this._scrollToBottom();
   }
 
@@ -2754,10 +5938,50 @@ class ChatUI {
    * Hides typing indicator
    */
   hideTyping() {
+    clearInterval(this._retryCountdownTimer);
     const typingEl = document.getElementById(`typing-indicator-${this._id}`);
     if (typingEl) typingEl.remove();
   }
 
+  /**
+   * Sets or clears the status line shown under the typing indicator
+   */
+  setTypingStatus(text) {
+    const typingEl = document.getElementById(`typing-indicator-${this._id}`);
+    if (!typingEl) return;
+    let statusEl = typingEl.querySelector(".typing-status");
+    if (!text) {
+      if (statusEl) statusEl.remove();
+      return;
+    }
+    if (!statusEl) {
+      statusEl = document.createElement("div");
+      statusEl.className = "typing-status";
+      typingEl.appendChild(statusEl);
+    }
+    statusEl.textContent = text;
+  }
+
+  /**
+   * Counts down to an automatic retry in the typing indicator
+   */
+  showRetryCountdown(delay) {
+    const lang = this.options.language;
+    const retryAt = Date.now() + delay;
+    const tick = () => {
+      const seconds = Math.ceil((retryAt - Date.now()) / 1000);
+      if (seconds <= 0) {
+        clearInterval(this._retryCountdownTimer);
+        this.setTypingStatus(_t(lang, "retrying"));
+        return;
+      }
+      this.setTypingStatus(_t(lang, "retryingIn").replace("{seconds}", seconds));
+    };
+    clearInterval(this._retryCountdownTimer);
+    tick();
+    this._retryCountdownTimer = setInterval(tick, 1000);
+  }
+
   /**
    * Shows typing indicator on button
    */
@@ -2802,9 +6026,9 @@ class ChatUI {
   }
 
   /**
-   * Shows error message
+   * Shows error message, with a retry button unless `retryable` is false
    */
-  showError(message) {
+  showError(message, retryable = true) {
     const errorEl = document.createElement("div");
     errorEl.className = "message error";
     errorEl.setAttribute("role", "alert");
@@ -2813,6 +6037,12 @@ class ChatUI {
     const msgSpan = document.createElement("span");
     msgSpan.textContent = message;
     bubble.appendChild(msgSpan);
+    errorEl.appendChild(bubble);
+    if (!retryable) {
+      this._appendMessage(errorEl);
+      this._scrollToBottom();
+      return;
+    }
     bubble.appendChild(document.createElement("br"));
     const retryBtn = document.createElement("button");
     retryBtn.className = "retry-btn";
@@ -2820,7 +6050,7 @@ class ChatUI {
     retryBtn.textContent = _t(this.options.language, "retry");
     bubble.appendChild(retryBtn);
     errorEl.appendChild(bubble);
-    this.elements.messages.appendChild(errorEl);
+    this._appendMessage(errorEl);
     this._scrollToBottom();
 
     retryBtn.addEventListener("click", async () => {
@@ -2838,6 +6068,33 @@ class ChatUI {
     this.elements.messages.innerHTML = "";
   }
 
+  /**
+   * Shows a short notice above the input with one action, which emits
+   * `event`. A newer toast replaces the previous one.
+   */
+  showToast(text, actionLabel, actionAriaLabel, event) {
+    this.hideToast();
+    const toast = document.createElement("div");
+    toast.className = "chat-toast";
+    toast.setAttribute("role", "status");
+    const message = document.createElement("span");
+    message.textContent = text;
+    const actionBtn = document.createElement("button");
+    actionBtn.textContent = actionLabel;
+    actionBtn.setAttribute("aria-label", actionAriaLabel);
+    actionBtn.addEventListener("click", () => this.eventBus.emit(event));
+    toast.appendChild(message);
+    toast.appendChild(actionBtn);
+    this.elements.window.querySelector(".chat-input-area").appendChild(toast);
+  }
+
+  /**
+   * Removes the toast, if shown
+   */
+  hideToast() {
+    this.elements.window.querySelector(".chat-toast")?.remove();
+  }
+
   /**
    * Updates unread badge. Also updates the chat button's aria-label to
    * include the unread count, and writes to the widget's live region so
@@ -2904,6 +6161,22 @@ class ChatUI {
     }
   }
 
+  /**
+   * Turns the send button into a stop button while a response is streaming
+   */
+  setStopMode(active) {
+    const lang = this.options.language;
+    const btn = this.elements.sendBtn;
+    this._stopMode = active;
+    btn.classList.toggle("stop-mode", active);
+    btn.textContent = _t(lang, active ? "stop" : "send");
+    btn.setAttribute("aria-label", _t(lang, active ? "stopAriaLabel" : "sendAriaLabel"));
+    if (active) {
+      btn.setAttribute("aria-disabled", "false");
+      btn.setAttribute("tabindex", "0");
+    }
+  }
+
   /**
    * Gets input value
    */
@@ -3053,7 +6326,68 @@ class ChatUI {
       this.elements.privateBtn.addEventListener("click", this._handlers.privateClick);
     }
 
+    if (this.elements.forgetBtn) {
+      this._handlers.forgetClick = () => {
+        if (window.confirm(_t(this.options.language, "forgetDeviceConfirm"))) {
+          this.eventBus.emit("forgetDevice");
+        }
+      };
+      this.elements.forgetBtn.addEventListener("click", this._handlers.forgetClick);
+    }
+
+    if (this.elements.threadsBtn) {
+      this._handlers.threadsClick = () => {
+        if (this.isThreadListOpen()) {
+          this.closeThreadList();
+        } else {
+          this.eventBus.emit("openThreads");
+        }
+      };
+      this.elements.threadsBtn.addEventListener("click", this._handlers.threadsClick);
+      this._handlers.newThreadClick = () => this.eventBus.emit("newThread");
+      this.elements.threads
+        .querySelector(".chat-thread-new")
+        .addEventListener("click", this._handlers.newThreadClick);
+    }
+
+    if (this.elements.exportBtn) {
+      this._handlers.exportClick = () => {
+        if (this.isExportMenuOpen()) {
+          this.closeExportMenu();
+        } else {
+          this.openExportMenu();
+        }
+      };
+      this.elements.exportBtn.addEventListener("click", this._handlers.exportClick);
+      this._handlers.exportMenuClick = (e) => {
+        const item = e.target.closest("[role=menuitem]");
+        if (!item) return;
+        this.closeExportMenu();
+        if (item.dataset.export) {
+          this.eventBus.emit("export", item.dataset.export);
+        } else {
+          this.elements.importInput.click();
+        }
+      };
+      this.elements.exportMenu.addEventListener("click", this._handlers.exportMenuClick);
+      this._handlers.importChange = () => {
+        const [file] = this.elements.importInput.files;
+        if (file) this.eventBus.emit("import", file);
+        // Lets the same file be picked again
+        this.elements.importInput.value = "";
+      };
+      this.elements.importInput.addEventListener("change", this._handlers.importChange);
+      this._handlers.exportOutsideClick = (e) => {
+        if (!this.elements.exportBtn.parentElement.contains(e.target)) this.closeExportMenu();
+      };
+      document.addEventListener("click", this._handlers.exportOutsideClick);
+    }
+
     this._handlers.sendClick = () => {
+      if (this._stopMode) {
+        this.eventBus.emit("stop");
+        return;
+      }
       if (this.elements.sendBtn.getAttribute("aria-disabled") !== "true") {
         this.eventBus.emit("send", this.getInputValue());
       }
@@ -3063,7 +6397,7 @@ class ChatUI {
     this._handlers.inputKeydown = (e) => {
       if (e.key === "Enter" && !e.shiftKey) {
         e.preventDefault();
-        if (this.elements.sendBtn.getAttribute("aria-disabled") !== "true") {
+        if (!this._stopMode && this.elements.sendBtn.getAttribute("aria-disabled") !== "true") {
           this.eventBus.emit("send", this.getInputValue());
         }
       }
@@ -3110,10 +6444,26 @@ class ChatUI {
         e.key === "Escape" &&
         this.elements.window.classList.contains("open")
       ) {
+        // Open menus and the conversation list close first
+        if (this.isExportMenuOpen()) {
+          this.closeExportMenu();
+          this.elements.exportBtn.focus();
+          return;
+        }
+        if (this.isThreadListOpen()) {
+          this.closeThreadList();
+          return;
+        }
         this.eventBus.emit("close");
       }
     };
     document.addEventListener("keydown", this._handlers.documentEscape);
+
+    this._handlers.windowOnline = () => this.eventBus.emit("online");
+    window.addEventListener("online", this._handlers.windowOnline);
+
+    this._handlers.windowPageHide = () => this.eventBus.emit("pagehide");
+    window.addEventListener("pagehide", this._handlers.windowPageHide);
   }
 
   /**
@@ -3221,12 +6571,16 @@ class ChatUI {
           ${subtitleHtml}
         </div>
         <div class="chat-header-actions">
+          ${this.options.allowThreads ? `<button class="chat-header-btn chat-threads-btn" title="${_t(lang, "threads")}" aria-label="${_t(lang, "threadsAriaLabel")}" aria-expanded="false"><svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" focusable="false"><line x1="8" y1="6" x2="21" y2="6"/><line x1="8" y1="12" x2="21" y2="12"/><line x1="8" y1="18" x2="21" y2="18"/><line x1="3" y1="6" x2="3.01" y2="6"/><line x1="3" y1="12" x2="3.01" y2="12"/><line x1="3" y1="18" x2="3.01" y2="18"/></svg></button>` : ""}
+          ${this.options.allowExport ? `<div class="chat-export"><button class="chat-header-btn chat-export-btn" title="${_t(lang, "exportChat")}" aria-label="${_t(lang, "exportAriaLabel")}" aria-haspopup="menu" aria-expanded="false"><svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" focusable="false"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/></svg></button><div class="chat-export-menu" role="menu" hidden><button role="menuitem" data-export="markdown">${_t(lang, "exportMarkdown")}</button><button role="menuitem" data-export="json">${_t(lang, "exportJSON")}</button><button role="menuitem" data-export="html">${_t(lang, "exportHTML")}</button><button role="menuitem" data-import>${_t(lang, "importJSON")}</button></div><input type="file" class="chat-import-input" accept=".json,application/json" hidden></div>` : ""}
           ${this.options.allowPrivateMode ? `<button class="chat-header-btn chat-private-btn" title="${_t(lang, "privateMode")}" aria-label="${_t(lang, "privateMode")}"><svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" focusable="false"><path d="M12 22s8-4 8-10V5l-8-3-8 3v7c0 6 8 10 8 10z"/></svg></button>` : ""}
+          ${this.options.allowForgetDevice ? `<button class="chat-header-btn chat-forget-btn" title="${_t(lang, "forgetDevice")}" aria-label="${_t(lang, "forgetDeviceAriaLabel")}"><svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" focusable="false"><polyline points="3 6 5 6 21 6"/><path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6"/><path d="M10 11v6"/><path d="M14 11v6"/><path d="M9 6V4a1 1 0 0 1 1-1h4a1 1 0 0 1 1 1v2"/></svg></button>` : ""}
           <button class="chat-header-btn chat-clear-btn" title="${_t(lang, "clearChat")}" aria-label="${_t(lang, "clearChatHistory")}"><svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" focusable="false"><path d="M21 2v6h-6"/><path d="M3 12a9 9 0 0 1 15-6.7L21 8"/><path d="M3 22v-6h6"/><path d="M21 12a9 9 0 0 1-15 6.7L3 16"/></svg></button>
           <button class="chat-header-btn chat-close-btn" title="${_t(lang, "minimize")}" aria-label="${_t(lang, "closeChat")}"><svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" focusable="false"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg></button>
         </div>
       </div>
       ${this.options.showModelInfo ? '<div class="model-info" id="model-info" role="status"></div>' : ""}
+      ${this.options.allowThreads ? `<div class="chat-threads" role="region" aria-label="${_t(lang, "threads")}" hidden><button class="chat-thread-new">+ ${_t(lang, "newThread")}</button><ul class="chat-thread-list"></ul></div>` : ""}
       <div class="chat-messages" role="log" aria-live="polite" aria-atomic="false" aria-label="${_t(lang, "chatConversation")}"></div>
       <div class="chat-input-area">
         <div class="chat-input-container">
@@ -3287,6 +6641,15 @@ class ChatUI {
       this.elements.window.querySelector(".chat-clear-btn");
     this.elements.privateBtn =
       this.elements.window.querySelector(".chat-private-btn");
+    this.elements.forgetBtn =
+      this.elements.window.querySelector(".chat-forget-btn");
+    this.elements.threadsBtn =
+      this.elements.window.querySelector(".chat-threads-btn");
+    this.elements.threads = this.elements.window.querySelector(".chat-threads");
+    this.elements.exportBtn =
+      this.elements.window.querySelector(".chat-export-btn");
+    this.elements.exportMenu = this.elements.window.querySelector(".chat-export-menu");
+    this.elements.importInput = this.elements.window.querySelector(".chat-import-input");
     this.elements.modelInfo = this.elements.window.querySelector("#model-info");
   }
 
@@ -3332,6 +6695,7 @@ class ChatUI {
     if (this.previewTimeout) {
       clearTimeout(this.previewTimeout);
     }
+    clearInterval(this._retryCountdownTimer);
 
     // Clean up visualViewport listener
     if (this._viewportHandler && window.visualViewport) {
@@ -3369,6 +6733,30 @@ class ChatUI {
           this._handlers.privateClick,
         );
       }
+      if (this.elements.forgetBtn && this._handlers.forgetClick) {
+        this.elements.forgetBtn.removeEventListener(
+          "click",
+          this._handlers.forgetClick,
+        );
+      }
+      if (this.elements.threadsBtn && this._handlers.threadsClick) {
+        this.elements.threadsBtn.removeEventListener(
+          "click",
+          this._handlers.threadsClick,
+        );
+        this.elements.threads
+          .querySelector(".chat-thread-new")
+          .removeEventListener("click", this._handlers.newThreadClick);
+      }
+      if (this.elements.exportBtn && this._handlers.exportClick) {
+        this.elements.exportBtn.removeEventListener(
+          "click",
+          this._handlers.exportClick,
+        );
+        this.elements.exportMenu.removeEventListener("click", this._handlers.exportMenuClick);
+        this.elements.importInput.removeEventListener("change", this._handlers.importChange);
+        document.removeEventListener("click", this._handlers.exportOutsideClick);
+      }
       if (this.elements.sendBtn) {
         this.elements.sendBtn.removeEventListener(
           "click",
@@ -3394,6 +6782,8 @@ class ChatUI {
         );
       }
       document.removeEventListener("keydown", this._handlers.documentEscape);
+      window.removeEventListener("online", this._handlers.windowOnline);
+      window.removeEventListener("pagehide", this._handlers.windowPageHide);
       document.removeEventListener("keydown", this._handlers.keyboardNavOn);
       document.removeEventListener("mousedown", this._handlers.keyboardNavOff);
       this._handlers = null;
@@ -3429,6 +6819,8 @@ class UniversalChatWidget {
     this._instanceId = `chat-${UniversalChatWidget._instanceCount++}`;
     // Capture script element now (unavailable after async operations)
     this._scriptElement = document.currentScript;
+    // Populated by use(); may be called before a remote config has loaded
+    this._middleware = [];
 
     if (options.configUrl) {
       // Fetch remote config, then initialize — hide widget on failure
@@ -3466,6 +6858,11 @@ class UniversalChatWidget {
     // Normalize and validate options
     this.options = this._normalizeOptions(options);
     this.options._instanceId = `${this._instanceId}_${this.options.model}`;
+    // Stored state is keyed independently of the model, so changing it keeps
+    // every conversation; state under the older per-model keys is moved over
+    this.options._storageKey = this.options.storageKey || `universalChatState_${this._instanceId}`;
+    this.options._legacyStoragePrefix = `universalChatState_${this._instanceId}_`;
+    this.options.summaryEndpoint = this._summaryEndpoint();
 
     // WCAG contrast sanity check. Developer-facing safeguard: logs a warning
     // if any configured text/background pair falls below the AA threshold
@@ -3479,8 +6876,16 @@ class UniversalChatWidget {
       debug: this.options.debug,
       timeout: this.options.requestTimeout,
       language: this.options.language,
+      retry: this.options.retry,
+      streamIdleTimeout: this.options.streamIdleTimeout,
+      transport: this.options.transport,
+      mock: this.options.mock,
+      middleware: [...this.options.middleware, ...this._middleware],
+      getAuthToken: this.options.getAuthToken,
+      refreshAuthToken: this.options.refreshAuthToken,
     });
     this.renderer = new MessageRenderer(this.options);
+    this.exporter = new ConversationExporter(this.renderer, this.options);
     this.ui = new ChatUI(this.options, this.eventBus);
 
     // Subscribe to events
@@ -3489,14 +6894,21 @@ class UniversalChatWidget {
     // Initialize UI
     this.ui.init();
 
-    // Load marked.js, then render messages (restored history or defer welcome)
-    this.renderer._loadRenderer().then(() => {
-      if (this.state.restore()) {
+    // Load marked.js, then render messages (restored history or defer welcome).
+    // If restoring fails the widget still starts, with a fresh conversation.
+    this.renderer._loadRenderer().then(() => this.state.restore()).catch((e) => {
+      console.warn("Chat Widget: Failed to restore state:", e.message);
+      return false;
+    }).then((restored) => {
+      this.state.connectTabs((message) => this._onTabMessage(message));
+      if (restored) {
         this._rebuildMessagesFromHistory();
         // Restore private mode visuals if active
         if (this.state.get("privateMode")) {
           this.ui.setPrivateMode(true, this.options.privateModeBorderColor);
         }
+        this._renderOutbox();
+        this._flushOutbox();
       } else {
         this._needsWelcome = true;
       }
@@ -3519,9 +6931,30 @@ class UniversalChatWidget {
     this.eventBus.on("open", () => this._handleOpen());
     this.eventBus.on("close", () => this._handleClose());
     this.eventBus.on("clear", () => this._handleClear());
+    this.eventBus.on("undoClear", () => this._handleUndoClear());
     this.eventBus.on("send", (message) => this._handleSend(message));
     this.eventBus.on("retry", () => this._handleRetry());
+    this.eventBus.on("stop", () => this._handleStop());
+    this.eventBus.on("continue", (messageEl) => this._handleContinue(messageEl));
     this.eventBus.on("togglePrivate", () => this._handleTogglePrivate());
+    this.eventBus.on("forgetDevice", () => this._handleForgetDevice());
+    this.eventBus.on("cancelPending", (id) => this._handleCancelPending(id));
+    this.eventBus.on("openThreads", () => this.ui.openThreadList(this._threadListItems()));
+    this.eventBus.on("newThread", () => this._handleNewThread());
+    this.eventBus.on("switchThread", (id) => this._handleSwitchThread(id));
+    this.eventBus.on("renameThread", ({ id, title }) => this._handleRenameThread(id, title));
+    this.eventBus.on("deleteThread", (id) => this._handleDeleteThread(id));
+    this.eventBus.on("editMessage", ({ id, content }) => this._handleEditMessage(id, content));
+    this.eventBus.on("regenerate", () => this._handleRegenerate());
+    this.eventBus.on("switchBranch", ({ id, variant }) => this._handleSwitchBranch(id, variant));
+    this.eventBus.on("export", (format) => this._handleExport(format));
+    this.eventBus.on("import", (file) => this._handleImport(file));
+    this.eventBus.on("online", () => this._flushOutbox());
+    this.eventBus.on("pagehide", () => {
+      if (this.state.get("isSending")) this.state.postToTabs({ type: "sending", active: false });
+      // The clear is already stored; leaving the page makes it final
+      this._commitClear();
+    });
 
     // Subscribe to state changes
     this._stateUnsub = this.state.subscribe((newState, oldState) => {
@@ -3533,12 +6966,24 @@ class UniversalChatWidget {
         this.ui.updateUnreadBadge(newState.unreadCount);
       }
 
+      if (newState.isSending !== oldState.isSending) {
+        // The lock outlives the message if this tab dies without saying so
+        this._releaseSendingLock?.();
+        this._releaseSendingLock = newState.isSending ? this.state.holdInTab("sending") : null;
+        this.state.postToTabs({ type: "sending", active: newState.isSending });
+      }
+
       // Only save when persisted fields change
       if (newState.history !== oldState.history ||
           newState.hasInteracted !== oldState.hasInteracted ||
           newState.traceId !== oldState.traceId ||
           newState.sessionId !== oldState.sessionId ||
-          newState.privateMode !== oldState.privateMode) {
+          newState.privateMode !== oldState.privateMode ||
+          newState.outbox !== oldState.outbox ||
+          newState.summary !== oldState.summary ||
+          newState.thread !== oldState.thread ||
+          newState.threads !== oldState.threads ||
+          newState.tokenSamples !== oldState.tokenSamples) {
         this.state.save();
       }
     });
@@ -3571,15 +7016,300 @@ class UniversalChatWidget {
   }
 
   /**
-   * Handles clearing chat
+   * Handles clearing chat
+   */
+  _handleClear() {
+    this._commitClear();
+    const threadId = this.state.get("thread").id;
+    const outbox = this.state.get("outbox");
+    const isOtherThread = (entry) => entry.threadId && entry.threadId !== threadId;
+    // Kept for the grace period, so the clear can be undone
+    this._pendingClear = {
+      threadId,
+      history: this.state.get("history"),
+      summary: this.state.get("summary"),
+      traceId: this.state.get("traceId"),
+      outbox: outbox.filter((entry) => !isOtherThread(entry)),
+      timer: setTimeout(() => this._commitClear(), TIMINGS.CLEAR_UNDO_GRACE),
+    };
+    this.state.update({
+      history: [],
+      summary: null,
+      traceId: null,
+      outbox: outbox.filter(isOtherThread),
+    });
+    this.ui.clearMessages();
+    this._showWelcomeMessage();
+    const lang = this.options.language;
+    this.ui.showToast(_t(lang, "chatCleared"), _t(lang, "undo"), _t(lang, "undoClearAriaLabel"), "undoClear");
+  }
+
+  /**
+   * Brings back the conversation cleared within the grace period, unless
+   * the student has moved to another thread since
+   */
+  _handleUndoClear() {
+    const pending = this._pendingClear;
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    this._pendingClear = null;
+    this.ui.hideToast();
+    if (this.state.get("thread").id !== pending.threadId) return;
+    this.state.update({
+      history: pending.history,
+      summary: pending.summary,
+      traceId: pending.traceId,
+      outbox: [...pending.outbox, ...this.state.get("outbox")],
+      lastFailedMessage: null,
+    });
+    this._showCurrentThread();
+    this._trackEvent('chat_clear_undone', { messages: pending.history.length });
+  }
+
+  /**
+   * Makes a pending clear final once the grace period is over or the
+   * conversation moves on
+   */
+  _commitClear() {
+    const pending = this._pendingClear;
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    this._pendingClear = null;
+    this.ui.hideToast();
+    this._trackEvent('chat_cleared', { messages: pending.history.length });
+  }
+
+  /**
+   * Deletes the stored conversations and the device key, and starts over
+   * with nothing stored until the page is reloaded
+   */
+  async _handleForgetDevice() {
+    // Let a stopped answer settle first, so it is not added to the new state
+    if (this.state.get("isSending")) {
+      await new Promise((resolve) => {
+        const unsubscribe = this.state.subscribe((newState) => {
+          if (newState.isSending) return;
+          unsubscribe();
+          resolve();
+        });
+        this.api.cancel();
+      });
+    }
+    await this.state.forgetDevice();
+    this._showForgotten();
+    this._trackEvent('chat_device_forgotten');
+  }
+
+  /**
+   * Shows the empty conversation left after a device was forgotten
+   */
+  _showForgotten() {
+    this.ui.setPrivateMode(false, this.options.privateModeBorderColor);
+    if (this.ui.isThreadListOpen()) this.ui.renderThreadList(this._threadListItems());
+    this._showCurrentThread();
+  }
+
+  /**
+   * Conversation list entries for the UI. Untitled threads are named
+   * after their first question.
+   */
+  _threadListItems() {
+    const currentId = this.state.get("thread").id;
+    return this.state.listThreads().map((thread) => ({
+      id: thread.id,
+      title: this._threadTitle(thread),
+      current: thread.id === currentId,
+    }));
+  }
+
+  /**
+   * A thread's title, or its first question if it has none
+   */
+  _threadTitle({ title, history }) {
+    const firstQuestion = history.find((msg) => msg.role === "user")?.content;
+    return title
+      || firstQuestion?.replace(/\s+/g, " ").slice(0, LIMITS.THREAD_TITLE_LENGTH)
+      || _t(this.options.language, "newThread");
+  }
+
+  /**
+   * Shows the current thread after a switch
+   */
+  _showCurrentThread() {
+    this._commitClear();
+    clearTimeout(this._welcomeTimer);
+    this.ui.hideTyping();
+    this.ui.removeContinueActions();
+    if (this.state.get("history").length > 0) {
+      this._rebuildMessagesFromHistory();
+    } else {
+      this.ui.clearMessages();
+      this._showWelcomeMessage();
+    }
+    this._renderOutbox();
+    this._flushOutbox();
+  }
+
+  /**
+   * Starts a new conversation, keeping the current one in the list
+   */
+  _handleNewThread() {
+    if (this.state.get("isSending")) return;
+    this.state.createThread();
+    this.ui.closeThreadList();
+    this._showCurrentThread();
+    this._trackEvent('chat_thread_created', { threads: this.state.listThreads().length });
+  }
+
+  /**
+   * Switches to another conversation from the list
+   */
+  _handleSwitchThread(id) {
+    if (this.state.get("isSending")) return;
+    if (id !== this.state.get("thread").id && this.state.switchThread(id)) {
+      this._showCurrentThread();
+      this._trackEvent('chat_thread_switched');
+    }
+    this.ui.closeThreadList();
+  }
+
+  /**
+   * Renames a conversation and refreshes the list
+   */
+  _handleRenameThread(id, title) {
+    this.state.renameThread(id, title.slice(0, LIMITS.THREAD_TITLE_LENGTH));
+    this.ui.openThreadList(this._threadListItems());
+  }
+
+  /**
+   * Deletes a conversation along with its queued messages
+   */
+  _handleDeleteThread(id) {
+    const isCurrent = id === this.state.get("thread").id;
+    if (isCurrent && this.state.get("isSending")) return;
+    this.state.deleteThread(id);
+    this.state.update({
+      outbox: this.state.get("outbox").filter((entry) => entry.threadId !== id),
+    });
+    if (isCurrent) this._showCurrentThread();
+    this.ui.openThreadList(this._threadListItems());
+    this._trackEvent('chat_thread_deleted');
+  }
+
+  /**
+   * Adds the edit action and branch arrows a history entry calls for
+   */
+  _addMessageActions(messageEl, msg) {
+    if (!msg.id) return;
+    messageEl.dataset.messageId = msg.id;
+    if (msg.variants) this.ui.setBranchNav(messageEl, msg.id, msg.variant, msg.variants.length);
+    if (this.options.allowEdit && msg.role === "user") this.ui.addEditAction(messageEl, msg.id, msg.content);
+  }
+
+  /**
+   * Resends an edited question as a new branch; the previous branch is kept
+   */
+  async _handleEditMessage(id, content) {
+    if (this.state.get("isSending") || this._remoteSending || this._threadOutbox().length > 0) return;
+    content = content.substring(0, LIMITS.MAX_MESSAGE_LENGTH);
+    if (!this.state.editMessage(id, content, this._createMessageId())) return;
+    this._rebuildMessagesFromHistory();
+    this._trackEvent('chat_message_edited', { branch: this.state.branchId() });
+    await this._handleSend(content, true);
+  }
+
+  /**
+   * Asks again for the last answer. Every version is kept as a branch, and
+   * the one shown is what the conversation continues from.
+   */
+  async _handleRegenerate() {
+    if (this.state.get("isSending") || this._remoteSending || this._threadOutbox().length > 0) return;
+    const detached = this.state.detachAnswer(this._createMessageId(), this._createMessageId());
+    if (!detached) return;
+    this._regeneration = detached;
+    this._rebuildMessagesFromHistory();
+    this._trackEvent('chat_answer_regenerated', { versions: detached.branches.length + 1 });
+    await this._handleSend(detached.question.content, true);
+    this._settleRegeneration();
+  }
+
+  /**
+   * Files the regenerated answer next to the earlier versions, or brings the
+   * previous answer back if the request produced none
+   */
+  _settleRegeneration() {
+    const detached = this._regeneration;
+    if (!detached) return;
+    this._regeneration = null;
+    if (this.state.settleAnswer(detached)) this._rebuildMessagesFromHistory();
+  }
+
+  /**
+   * Offers to regenerate the answer in `messageEl` while it is the last
+   * answer to a question
+   */
+  _offerRegenerate(messageEl) {
+    if (!this.options.allowRegenerate) return;
+    const history = this.state.get("history");
+    const [question, answer] = history.slice(-2);
+    if (answer?.role !== "assistant" || question?.role !== "user") return;
+    this.ui.removeRegenerateActions();
+    this.ui.addRegenerateAction(messageEl);
+  }
+
+  /**
+   * Shows another branch of the conversation at the fork at message `id`
+   */
+  _handleSwitchBranch(id, variant) {
+    if (this.state.get("isSending")) return;
+    const firstId = this.state.switchBranch(id, variant);
+    if (!firstId) return;
+    this.ui.removeContinueActions();
+    this._rebuildMessagesFromHistory();
+    this.ui.focusBranchNav(firstId, variant);
+    this._trackEvent('chat_branch_switched', { branch: this.state.branchId() });
+  }
+
+  /**
+   * Downloads the current conversation as "markdown", "json" or "html"
+   */
+  _handleExport(format) {
+    const history = this.state.get("history");
+    const file = this.exporter.export(format, {
+      title: this._threadTitle({ title: this.state.get("thread").title, history }),
+      history,
+      exportedAt: Date.now(),
+    });
+    this.ui.downloadFile(file.filename, file.type, file.content);
+    this._trackEvent('chat_exported', { format, messages: history.length });
+  }
+
+  /**
+   * Restores an exported JSON file. With threads it opens as a new
+   * conversation, otherwise it replaces the current one.
    */
-  _handleClear() {
-    this._trackEvent('chat_cleared', {
-      messages: this.state.get('history').length,
-    });
-    this.state.update({ history: [], traceId: null });
-    this.ui.clearMessages();
-    this._showWelcomeMessage();
+  async _handleImport(file) {
+    if (this.state.get("isSending")) return;
+    let conversation;
+    try {
+      conversation = ConversationExporter.parse(await file.text());
+    } catch (error) {
+      console.warn("Chat Widget: Import failed -", error.message);
+      this.ui.showError(_t(this.options.language, "importFailed"), false);
+      this._trackEvent('chat_import_failed');
+      return;
+    }
+    const threadId = this.state.get("thread").id;
+    this.state.importThread(conversation, this.options.allowThreads);
+    if (!this.options.allowThreads) {
+      // As with clearing, messages queued for the replaced conversation go too
+      this.state.update({
+        outbox: this.state.get("outbox").filter((entry) => entry.threadId && entry.threadId !== threadId),
+      });
+    }
+    this.ui.closeThreadList();
+    this._showCurrentThread();
+    this._trackEvent('chat_imported', { messages: conversation.history.length });
   }
 
   /**
@@ -3608,23 +7338,48 @@ class UniversalChatWidget {
   }
 
   /**
-   * Handles sending message
+   * Handles sending message. `fromOutbox` marks a queued message being flushed.
    */
-  async _handleSend(message, isRetry = false) {
+  async _handleSend(message, isRetry = false, fromOutbox = false) {
     if (!message) return;
 
     // Guard against concurrent sends
     if (this.state.get("isSending")) return;
+    this._commitClear();
+
+    // Offline, another tab awaiting an answer, or earlier messages still
+    // waiting: queue behind them to keep order
+    if (!isRetry && !fromOutbox &&
+        (!this._isOnline() || this._remoteSending || this._threadOutbox().length > 0)) {
+      this.ui.clearInput();
+      this._queueMessage(message);
+      this._flushOutbox();
+      return;
+    }
+
     this.state.update({ isSending: true });
     this.ui.setInputEnabled(false);
+    this.ui.removeContinueActions();
+    this.ui.removeRegenerateActions();
 
-    // Add user message to state and UI (skip if retry — already in history)
+    // Add user message to state and UI (skip if retry — already in history).
+    // A flushed outbox entry keeps the ID it was queued with.
     if (!isRetry) {
-      const history = [...this.state.get("history"), { role: "user", content: message }];
+      const previous = this.state.get("history").slice(-1)[0];
+      if (previous?.role === "assistant" && previous.variants) {
+        this._trackEvent('chat_answer_version_kept', { version: previous.variant + 1, versions: previous.variants.length });
+      }
+      const id = fromOutbox && this._flushingEntry ? this._flushingEntry.id : this._createMessageId();
+      const isPrivate = this.state.get("privateMode") || (fromOutbox && this._flushingEntry?.private);
+      const history = [
+        ...this.state.get("history"),
+        { role: "user", content: message, id, timestamp: Date.now(), ...(isPrivate && { private: true }) },
+      ];
       this.state.update({ history });
 
       const formatted = this.renderer.formatMessage(message);
-      this.ui.addMessage("user", formatted, this._formatTime(new Date()));
+      this._lastUserMessageEl = this.ui.addMessage("user", formatted, this._formatTime(new Date()));
+      this._addMessageActions(this._lastUserMessageEl, history[history.length - 1]);
       this._trackEvent('chat_message_sent', { length: message.length });
     }
 
@@ -3643,32 +7398,144 @@ class UniversalChatWidget {
     } else {
       await this._handleSendNonStreaming(message, sendTimestamp);
     }
+
+    // Messages queued while this one was in flight
+    if (!fromOutbox) this._flushOutbox();
+  }
+
+  /**
+   * Re-requests the rest of a stalled answer and appends it to the same message
+   */
+  async _handleContinue(messageEl) {
+    if (this.state.get("isSending") || !messageEl?.isConnected) return;
+    const history = this.state.get("history");
+    const last = history[history.length - 1];
+    this.ui.removeContinueActions();
+    if (!last || last.role !== "assistant" || !last.truncated) return;
+
+    this.state.update({ isSending: true });
+    this.ui.setInputEnabled(false);
+    this.ui.showTyping();
+    if (!this.state.get("isOpen")) {
+      this.ui.showButtonTyping();
+    }
+    this._trackEvent('chat_continue_requested', { length: last.content.length });
+
+    const prompt = _t(this.options.language, "continuePrompt");
+    const continuation = { messageEl, content: last.content, reasoning: last.reasoning, tools: last.tools };
+    if (this.options.stream !== false) {
+      await this._handleSendStreaming(prompt, Date.now(), continuation);
+    } else {
+      await this._handleSendNonStreaming(prompt, Date.now(), continuation);
+    }
   }
 
   /**
-   * Streaming send path — progressive token display with debounced markdown render
+   * Streaming send path — progressive token display with debounced markdown render.
+   * With `continuation` ({ messageEl, content }) the reply is appended to a
+   * truncated answer, whose history entry it replaces once settled.
    */
-  async _handleSendStreaming(message, sendTimestamp) {
+  async _handleSendStreaming(message, sendTimestamp, continuation = null) {
     const optimizedHistory = this.state.optimizeHistory();
-    let rawText = "";
+    const promptEstimate = this._promptEstimate(optimizedHistory, message);
+    // A continuation or regeneration is a new request rather than a retry of the last turn
+    const clientMessageId = continuation || this._regeneration ? this._createMessageId() : this._lastUserMessageId();
+    let rawText = continuation ? continuation.content : "";
+    let reasoningText = continuation?.reasoning || "";
+    let reasoningDirty = false;
+    const toolTrace = (continuation?.tools || []).map((label) => ({ label }));
     let pendingSources = [];
-    let assistantEl = null;
-    let bubbleEl = null;
+    let assistantEl = continuation ? continuation.messageEl : null;
+    let bubbleEl = assistantEl ? assistantEl.querySelector(".message-bubble") : null;
     let debounceTimer = null;
+    let receivedDelta = false;
+    let firstTokenAt = null;
     let streamErrorOccurred = false;
     let doneWasCalled = false;
+    let stopped = false;
+    let stalled = false;
+    let streamView = null;
 
-    const renderContent = () => {
+    // Incremental while streaming; `final` renders the finished text in one pass
+    const renderContent = (final = false) => {
       if (!bubbleEl || !bubbleEl.isConnected) return;
       // Read scroll position before DOM write to avoid layout thrashing
       const msgs = this.ui.elements.messages;
       const isNearBottom = msgs.scrollTop + msgs.clientHeight >= msgs.scrollHeight - 60;
-      bubbleEl.innerHTML = this.renderer.formatMessage(rawText); // existing sanitized render
+      streamView ??= new StreamingRenderer(this.renderer, bubbleEl);
+      if (final) {
+        streamView.finish(rawText);
+      } else {
+        streamView.update(rawText);
+      }
+      if (reasoningDirty) {
+        reasoningDirty = false;
+        this.ui.setReasoning(
+          assistantEl,
+          this.renderer.formatMessage(reasoningText),
+          receivedDelta || doneWasCalled,
+        );
+      }
       if (isNearBottom) {
         this.ui._scrollToBottom();
       }
     };
 
+    const showResponse = () => {
+      this.ui.hideTyping();
+      this.ui.hideButtonTyping();
+      if (!assistantEl) {
+        assistantEl = this.ui.addStreamingMessage(this._formatTime(new Date()));
+        bubbleEl = assistantEl.querySelector(".message-bubble");
+      }
+    };
+
+    // The truncated entry a continuation extends is superseded by whatever
+    // gets recorded next
+    const releaseContinuation = () => {
+      if (!continuation) return;
+      this.state.update({ history: this.state.get("history").slice(0, -1) });
+      continuation = null;
+    };
+
+    // Drops a bubble that only ever showed reasoning
+    const discardEmptyResponse = () => {
+      if (assistantEl && !rawText) {
+        assistantEl.remove();
+        assistantEl = null;
+      }
+    };
+
+    const toolLabels = () => toolTrace.map((step) => step.label);
+
+    // Reasoning, tool steps and sources travel with the answer they led to
+    const withDetails = (entry) => ({
+      ...entry,
+      timestamp: Date.now(),
+      ...(this.state.get("privateMode") && { private: true }),
+      ...(pendingSources.length && { sources: pendingSources }),
+      ...(reasoningText && { reasoning: reasoningText }),
+      ...(toolTrace.length && { tools: toolLabels() }),
+    });
+
+    const finishResponse = () => {
+      renderContent(true);
+      this.renderer.addCopyButtonsToCodeBlocks(assistantEl);
+      this.renderer.renderCitations(assistantEl, pendingSources);
+      this.ui.addToolTrace(assistantEl, toolLabels());
+    };
+
+    // A continuation that produced nothing keeps its truncated entry as is,
+    // and the notice that says why it stopped
+    const offerContinue = () => {
+      this.ui.hideTyping();
+      this.ui.hideButtonTyping();
+      const cutOff = this.state.get("history").slice(-1)[0]?.usage?.finishReason === "length";
+      this.ui.addContinueAction(assistantEl, cutOff ? "responseCutOff" : undefined);
+    };
+
+    this.ui.setStopMode(true);
+
     try {
       await this.api.sendMessageStreaming(
         message,
@@ -3678,41 +7545,67 @@ class UniversalChatWidget {
         this.state.get("privateMode"),
         {
           onDelta: (content) => {
-            if (!assistantEl) {
-              this.ui.hideTyping();
-              this.ui.hideButtonTyping();
-              assistantEl = this.ui.addStreamingMessage(this._formatTime(new Date()));
-              bubbleEl = assistantEl.querySelector(".message-bubble");
+            firstTokenAt ??= Date.now();
+            if (!receivedDelta) {
+              receivedDelta = true;
+              // Fold the reasoning away now that the answer starts
+              if (reasoningText) reasoningDirty = true;
+              showResponse();
             }
             rawText += content;
             clearTimeout(debounceTimer);
             debounceTimer = setTimeout(renderContent, 80);
           },
 
+          onReasoning: (content) => {
+            firstTokenAt ??= Date.now();
+            if (!this.options.showReasoning) return;
+            showResponse();
+            reasoningText += content;
+            reasoningDirty = true;
+            clearTimeout(debounceTimer);
+            debounceTimer = setTimeout(renderContent, 80);
+          },
+
+          onTool: (tool) => {
+            const label = this._toolLabel(tool);
+            const step = tool.id && toolTrace.find((t) => t.id === tool.id);
+            if (step) {
+              step.label = label;
+            } else {
+              toolTrace.push({ id: tool.id, label });
+              this._trackEvent('chat_tool_call', { name: tool.name });
+            }
+            this.ui.setTypingStatus(label);
+          },
+
           onSources: (sources) => {
-            pendingSources = Array.isArray(sources) ? sources : [];
+            pendingSources = ChatValidators.validateSources(sources);
           },
 
+          onRetry: (info) => this._onRetryScheduled(info),
+
+          onResume: () => this._trackEvent('chat_stream_resumed'),
+
           onDone: (payload) => {
             if (streamErrorOccurred) return;
             doneWasCalled = true;
             clearTimeout(debounceTimer);
+            showResponse();
+            if (reasoningText) reasoningDirty = true;
+            finishResponse();
 
-            if (!assistantEl) {
-              this.ui.hideTyping();
-              this.ui.hideButtonTyping();
-              assistantEl = this.ui.addStreamingMessage(this._formatTime(new Date()));
-              bubbleEl = assistantEl.querySelector(".message-bubble");
-            }
-
-            renderContent();
-            this.renderer.addCopyButtonsToCodeBlocks(assistantEl);
-            this.renderer.renderCitations(assistantEl, pendingSources);
-
+            releaseContinuation();
             this._onResponseComplete(rawText, {
+              messageEl: assistantEl,
               traceId: payload.traceId,
               sessionId: payload.sessionId,
               model: payload.model,
+              reasoning: reasoningText,
+              tools: toolLabels(),
+              sources: pendingSources,
+              usage: this._collectUsage(payload, sendTimestamp, firstTokenAt),
+              promptEstimate,
             }, sendTimestamp);
           },
 
@@ -3721,58 +7614,144 @@ class UniversalChatWidget {
             console.error("Streaming error:", error);
             clearTimeout(debounceTimer);
 
-            if (assistantEl && rawText) {
-              renderContent();
+            if (continuation && !receivedDelta) {
+              offerContinue();
+            } else if (assistantEl && rawText) {
+              renderContent(true);
+              this.ui.addToolTrace(assistantEl, toolLabels());
               const errorNotice = document.createElement("div");
               errorNotice.className = "stream-error-notice";
               errorNotice.textContent = error.message || _t(this.options.language, "errorStreamLost");
               if (bubbleEl) bubbleEl.appendChild(errorNotice);
 
+              releaseContinuation();
               this.state.update({
                 history: [
                   ...this.state.get("history"),
-                  { role: "assistant", content: rawText },
+                  withDetails({ role: "assistant", content: rawText }),
                 ],
                 lastFailedMessage: null,
               });
             } else {
+              discardEmptyResponse();
               this._onSendError(message, error);
             }
           },
+
+          onCancel: () => {
+            stopped = true;
+            clearTimeout(debounceTimer);
+            this.ui.hideTyping();
+            this.ui.hideButtonTyping();
+            this._trackEvent('chat_response_stopped', { length: rawText.length });
+            if (continuation && !receivedDelta) {
+              offerContinue();
+              return;
+            }
+            if (!assistantEl || !rawText) {
+              if (assistantEl) assistantEl.remove();
+              return;
+            }
+
+            finishResponse();
+            this.ui.addStoppedNotice(assistantEl);
+
+            // Keep the partial answer so the student can build on it or rephrase
+            releaseContinuation();
+            this.state.update({
+              history: [
+                ...this.state.get("history"),
+                withDetails({ role: "assistant", content: rawText, truncated: true }),
+              ],
+              lastFailedMessage: null,
+            });
+            this.state.trimHistory();
+            this._offerRegenerate(assistantEl);
+          },
+
+          onStall: (error) => {
+            stalled = true;
+            clearTimeout(debounceTimer);
+            this._trackEvent('chat_response_stalled', { length: rawText.length });
+            if (!receivedDelta) {
+              if (continuation) {
+                offerContinue();
+              } else {
+                discardEmptyResponse();
+                this._onSendError(message, error);
+              }
+              return;
+            }
+
+            finishResponse();
+            this.ui.addContinueAction(assistantEl);
+
+            releaseContinuation();
+            this.state.update({
+              history: [
+                ...this.state.get("history"),
+                withDetails({ role: "assistant", content: rawText, truncated: true }),
+              ],
+              lastFailedMessage: null,
+            });
+            this.state.trimHistory();
+          },
         },
+        clientMessageId,
+        this._regeneration?.id ?? this.state.branchId(),
+        this._regeneration ? this._lastUserMessageId() : null,
       );
 
+      const settled = streamErrorOccurred || stopped || stalled || doneWasCalled;
       // Fallback: stream ended without any callbacks firing (e.g. non-SSE response)
-      if (!rawText && !streamErrorOccurred && !assistantEl) {
-        const noCallbackError = new Error("No response received from server");
-        noCallbackError.errorInfo = { type: "parse", message: _t(this.options.language, "errorUnknown") };
-        this._onSendError(message, noCallbackError);
+      if (!receivedDelta && !settled) {
+        if (continuation) {
+          offerContinue();
+        } else {
+          const noCallbackError = new Error("No response received from server");
+          noCallbackError.errorInfo = { type: "parse", message: _t(this.options.language, "errorUnknown") };
+          discardEmptyResponse();
+          this._onSendError(message, noCallbackError);
+        }
       }
       // Fallback: stream ended with content but onDone never fired
-      if (rawText && !streamErrorOccurred && !doneWasCalled && assistantEl) {
+      if (receivedDelta && !settled) {
         clearTimeout(debounceTimer);
-        renderContent();
-        this.renderer.addCopyButtonsToCodeBlocks(assistantEl);
-        this.renderer.renderCitations(assistantEl, pendingSources);
+        finishResponse();
+        releaseContinuation();
         this._onResponseComplete(rawText, {
+          messageEl: assistantEl,
           traceId: this.state.get("traceId"),
           sessionId: this.state.get("sessionId"),
+          reasoning: reasoningText,
+          tools: toolLabels(),
+          sources: pendingSources,
+          usage: this._collectUsage({}, sendTimestamp, firstTokenAt),
+          promptEstimate,
         }, sendTimestamp);
       }
     } catch (error) {
       if (!streamErrorOccurred) {
-        this._onSendError(message, error);
+        if (continuation) {
+          offerContinue();
+        } else {
+          discardEmptyResponse();
+          this._onSendError(message, error);
+        }
       }
     } finally {
+      this.ui.setStopMode(false);
       this.state.update({ isSending: false });
       this.ui.setInputEnabled(true);
     }
   }
 
   /**
-   * Non-streaming send path (original behavior, used when stream option is false)
+   * Non-streaming send path (original behavior, used when stream option is false).
+   * With `continuation` the reply is appended to a truncated answer, as in
+   * _handleSendStreaming().
    */
-  async _handleSendNonStreaming(message, sendTimestamp) {
+  async _handleSendNonStreaming(message, sendTimestamp, continuation = null) {
     try {
       const optimizedHistory = this.state.optimizeHistory();
       const response = await this.api.sendMessage(
@@ -3781,27 +7760,63 @@ class UniversalChatWidget {
         this.state.get("traceId"),
         this.state.get("sessionId"),
         this.state.get("privateMode"),
+        { onRetry: (info) => this._onRetryScheduled(info) },
+        // A continuation or regeneration is a new request rather than a retry of the last turn
+        continuation || this._regeneration ? this._createMessageId() : this._lastUserMessageId(),
+        this._regeneration?.id ?? this.state.branchId(),
+        this._regeneration ? this._lastUserMessageId() : null,
       );
 
       this.ui.hideTyping();
       this.ui.hideButtonTyping();
-      const formattedResponse = this.renderer.formatMessage(response.content);
-      const assistantEl = this.ui.addMessage(
-        "assistant",
-        formattedResponse,
-        this._formatTime(new Date()),
-      );
+      const content = (continuation?.content || "") + response.content;
+      const formattedResponse = this.renderer.formatMessage(content);
+      let assistantEl;
+      if (continuation) {
+        assistantEl = continuation.messageEl;
+        assistantEl.querySelector(".message-bubble").innerHTML = formattedResponse;
+        // The truncated entry is superseded by the continued answer
+        this.state.update({ history: this.state.get("history").slice(0, -1) });
+      } else {
+        assistantEl = this.ui.addMessage(
+          "assistant",
+          formattedResponse,
+          this._formatTime(new Date()),
+        );
+      }
 
       this.renderer.addCopyButtonsToCodeBlocks(assistantEl);
       this.renderer.renderCitations(assistantEl, response.sources);
+      const reasoning = this.options.showReasoning
+        ? (continuation?.reasoning || "") + (response.reasoning || "") || null
+        : null;
+      if (reasoning) {
+        this.ui.setReasoning(assistantEl, this.renderer.formatMessage(reasoning), true);
+      }
+      const tools = [...(continuation?.tools || []), ...response.tools.map((tool) => this._toolLabel(tool))];
+      this.ui.addToolTrace(assistantEl, tools);
 
-      this._onResponseComplete(response.content, {
+      this._onResponseComplete(content, {
+        messageEl: assistantEl,
         traceId: response.traceId,
         sessionId: response.sessionId,
         model: response.model,
+        reasoning,
+        tools,
+        sources: response.sources,
+        usage: this._collectUsage(response, sendTimestamp),
+        promptEstimate: this._promptEstimate(optimizedHistory, message),
       }, sendTimestamp);
     } catch (error) {
-      this._onSendError(message, error);
+      if (continuation) {
+        // The truncated answer stays as it was and can be continued again
+        this.ui.hideTyping();
+        this.ui.hideButtonTyping();
+        const cutOff = this.state.get("history").slice(-1)[0]?.usage?.finishReason === "length";
+        this.ui.addContinueAction(continuation.messageEl, cutOff ? "responseCutOff" : undefined);
+      } else {
+        this._onSendError(message, error);
+      }
     } finally {
       this.state.update({ isSending: false });
       this.ui.setInputEnabled(true);
@@ -3809,13 +7824,27 @@ class UniversalChatWidget {
   }
 
   /**
-   * Shared post-response state update and UI bookkeeping
+   * Shared post-response state update and UI bookkeeping. An answer that hit
+   * the token limit is kept as truncated and offered for continuation.
    */
-  _onResponseComplete(content, { traceId, sessionId, model }, sendTimestamp) {
+  _onResponseComplete(content, { messageEl, traceId, sessionId, model, reasoning, tools, sources, usage, promptEstimate }, sendTimestamp) {
+    const cutOff = usage?.finishReason === "length";
+    if (usage?.promptTokens) this.state.calibrateTokens(promptEstimate, usage.promptTokens);
+    this._updateSummary();
     this.state.update({
       history: [
         ...this.state.get("history"),
-        { role: "assistant", content },
+        {
+          role: "assistant",
+          content,
+          timestamp: Date.now(),
+          ...(this.state.get("privateMode") && { private: true }),
+          ...(reasoning && { reasoning }),
+          ...(sources?.length && { sources }),
+          ...(tools?.length && { tools }),
+          ...(usage && { usage }),
+          ...(cutOff && { truncated: true }),
+        },
       ],
       traceId: traceId || this.state.get("traceId"),
       sessionId: sessionId || this.state.get("sessionId"),
@@ -3827,6 +7856,15 @@ class UniversalChatWidget {
       this.ui.elements.modelInfo.textContent = `Model: ${model}`;
     }
 
+    if (messageEl) {
+      if (this.options.showUsage) this.ui.setUsage(messageEl, this._formatUsage(usage));
+      this._offerRegenerate(messageEl);
+      if (cutOff) {
+        this.ui.addContinueAction(messageEl, "responseCutOff");
+        this._trackEvent('chat_response_cut_off', { tokens: usage.completionTokens });
+      }
+    }
+
     this._trackEvent('chat_response_received', {
       latency: Date.now() - sendTimestamp,
       model: model || this.options.model,
@@ -3841,6 +7879,119 @@ class UniversalChatWidget {
     }
   }
 
+  /**
+   * Folds older turns into the synopsis once enough have collected. Runs in
+   * the background and in one tab only; if it fails, those turns are
+   * compressed as before and the next answer tries again.
+   */
+  async _updateSummary() {
+    if (!this.options.summarizeHistory || !this.options.summaryEndpoint || this._summarizing) return;
+    const backlog = this.state.summaryBacklog();
+    if (!backlog) return;
+
+    const lang = this.options.language;
+    const { messages, summary } = backlog;
+    const history = [
+      ...(summary ? [{ role: "system", content: _t(lang, "summaryContext").replace("{summary}", summary.text) }] : []),
+      ...messages.map(({ role, content }) => ({ role, content })),
+    ];
+    this._summarizing = true;
+    try {
+      await this.state.runInOneTab("summary", async () => {
+        const text = await this.api.summarize(
+          _t(lang, "summaryPrompt"),
+          history,
+          this.state.get("privateMode"),
+          this.options.summaryEndpoint,
+        );
+        if (this.state.setSummary(text, messages[messages.length - 1])) {
+          this._trackEvent('chat_history_summarized', { messages: messages.length });
+        }
+      });
+    } catch (error) {
+      console.warn("Chat Widget: History summary failed -", error.message);
+      this._trackEvent('chat_history_summary_failed');
+    } finally {
+      this._summarizing = false;
+    }
+  }
+
+  /**
+   * Uncalibrated token estimate of a request, counting `message` once
+   * whether or not the history already ends with it
+   */
+  _promptEstimate(history, message) {
+    const last = history[history.length - 1];
+    const sent = last?.role === "user" && last.content === message
+      ? history
+      : [...history, { role: "user", content: message }];
+    return this.state.measurePrompt(sent);
+  }
+
+  /**
+   * Gathers the usage figures of a finished response for its history entry.
+   * Fields the server did not report are left out.
+   */
+  _collectUsage(data, sendTimestamp, firstTokenAt = null) {
+    const usage = {
+      model: data.model,
+      tokenCount: data.tokenCount,
+      promptTokens: data.promptTokens,
+      completionTokens: data.completionTokens,
+      finishReason: data.finishReason,
+      latencyMs: Date.now() - sendTimestamp,
+      ttftMs: firstTokenAt ? firstTokenAt - sendTimestamp : undefined,
+    };
+    Object.keys(usage).forEach((key) => {
+      if (usage[key] == null) delete usage[key];
+    });
+    return usage;
+  }
+
+  /**
+   * Formats a usage record as a single footer line
+   */
+  _formatUsage(usage) {
+    if (!usage) return "";
+    const lang = this.options.language;
+    const seconds = (ms) => (ms / 1000).toFixed(1);
+    const parts = [];
+    if (usage.tokenCount) {
+      let tokens = _t(lang, "usageTokens").replace("{count}", usage.tokenCount);
+      if (usage.promptTokens != null && usage.completionTokens != null) {
+        tokens += ` (${_t(lang, "usageTokenSplit")
+          .replace("{prompt}", usage.promptTokens)
+          .replace("{completion}", usage.completionTokens)})`;
+      }
+      parts.push(tokens);
+    }
+    if (usage.latencyMs != null) {
+      parts.push(_t(lang, "usageLatency").replace("{seconds}", seconds(usage.latencyMs)));
+    }
+    if (usage.ttftMs != null) {
+      parts.push(_t(lang, "usageFirstToken").replace("{seconds}", seconds(usage.ttftMs)));
+    }
+    return parts.join(" · ");
+  }
+
+  /**
+   * Status text for a tool step: the event's own label, a configured
+   * toolLabels entry, or a generic "Using <name>…"
+   */
+  _toolLabel({ name, label }) {
+    return label
+      || this.options.toolLabels[name]
+      || _t(this.options.language, "toolRunning").replace("{name}", name);
+  }
+
+  /**
+   * Surfaces an automatic retry in the typing indicator
+   */
+  _onRetryScheduled({ attempt, delay, status }) {
+    this.ui.showRetryCountdown(delay);
+    this._trackEvent('chat_retry_scheduled', { attempt, delay, status });
+  }
+
   /**
    * Shared error handler for both send paths
    */
@@ -3848,12 +7999,211 @@ class UniversalChatWidget {
     console.error("Chat error:", error);
     this.ui.hideTyping();
     this.ui.hideButtonTyping();
-    this.state.update({ lastFailedMessage: message });
+    // A failed regeneration brings back the previous answer; the student
+    // can regenerate again instead of retrying
+    const regenerating = Boolean(this._regeneration);
+    this._settleRegeneration();
+    // Only a lost connection queues the message; a network error while
+    // online (CORS, DNS, a down server) would never flush, so it is offered
+    // for retry. So is an edited message, as it carries the other branches.
+    const last = this.state.get("history").slice(-1)[0];
+    if (!this._isOnline() && !last?.variants && !regenerating) {
+      this._moveToOutbox(message);
+      return;
+    }
+    if (!regenerating) this.state.update({ lastFailedMessage: message });
     this._trackEvent('chat_error', { type: error.message || 'unknown' });
     const errorInfo = error.errorInfo || {
       message: _t(this.options.language, "errorUnknown"),
     };
-    this.ui.showError(errorInfo.message);
+    this.ui.showError(errorInfo.message, !regenerating);
+  }
+
+  /**
+   * Generates a client message ID for a new user turn
+   */
+  _createMessageId() {
+    if (typeof crypto !== "undefined" && crypto.randomUUID) return crypto.randomUUID();
+    return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+  }
+
+  /**
+   * ID of the latest user turn in history; retries send it again
+   */
+  _lastUserMessageId() {
+    const history = this.state.get("history");
+    for (let i = history.length - 1; i >= 0; i--) {
+      if (history[i].role === "user") return history[i].id || null;
+    }
+    return null;
+  }
+
+  /**
+   * Whether the browser believes it has a connection
+   */
+  _isOnline() {
+    return navigator.onLine !== false;
+  }
+
+  /**
+   * Adds a message to the offline outbox. A flushed entry that failed again
+   * goes back to the front so the order is kept.
+   */
+  _queueMessage(content, entry = null) {
+    const outbox = this.state.get("outbox");
+    if (entry) {
+      this.state.update({ outbox: [entry, ...outbox] });
+    } else {
+      const id = this._createMessageId();
+      const entry = { id, content, threadId: this.state.get("thread").id, ...(this.state.get("privateMode") && { private: true }) };
+      this.state.update({ outbox: [...outbox, entry] });
+      this._trackEvent('chat_message_queued', { length: content.length });
+    }
+    this._renderOutbox();
+  }
+
+  /**
+   * Turns a message that failed for lack of connection into a queued one.
+   * It keeps its client message ID, as the server may have received it.
+   */
+  _moveToOutbox(message) {
+    const history = this.state.get("history");
+    const last = history[history.length - 1];
+    let entry = this._flushingEntry;
+    if (last && last.role === "user" && last.content === message) {
+      this.state.update({ history: history.slice(0, -1) });
+      if (!entry && last.id) {
+        entry = { id: last.id, content: message, threadId: this.state.get("thread").id, ...(last.private && { private: true }) };
+      }
+    }
+    if (this._lastUserMessageEl) {
+      this._lastUserMessageEl.remove();
+      this._lastUserMessageEl = null;
+    }
+    this.state.update({ lastFailedMessage: null });
+    this._queueMessage(message, entry);
+  }
+
+  /**
+   * Queued messages of the current thread. Those of other threads wait
+   * until their thread is opened again.
+   */
+  _threadOutbox() {
+    const threadId = this.state.get("thread").id;
+    return this.state.get("outbox").filter((entry) => !entry.threadId || entry.threadId === threadId);
+  }
+
+  /**
+   * Re-renders the pending bubbles from the outbox, oldest first
+   */
+  _renderOutbox() {
+    this.ui.removePendingMessages();
+    this._threadOutbox().forEach((entry) => {
+      this.ui.addPendingMessage(entry.id, this.renderer.formatMessage(entry.content));
+    });
+  }
+
+  /**
+   * Sends queued messages in order while online. Stops at the first one
+   * that fails; a lost connection puts it back for the next `online` event,
+   * any other failure holds the queue until that message is retried.
+   * With several tabs open, one of them sends the shared outbox.
+   */
+  async _flushOutbox() {
+    if (this._flushingEntry || this.state.get("isSending") || this._remoteSending || !this._isOnline() ||
+        this.state.get("lastFailedMessage")) {
+      return;
+    }
+    await this.state.runInOneTab("outbox", () => this._drainOutbox());
+  }
+
+  /**
+   * Sends outbox entries one by one; see _flushOutbox()
+   */
+  async _drainOutbox() {
+    let entry;
+    while (this._isOnline() && !this._remoteSending && (entry = this._threadOutbox()[0])) {
+      this._flushingEntry = entry;
+      this.state.update({ outbox: this.state.get("outbox").filter((queued) => queued !== entry) });
+      this._renderOutbox();
+      await this._handleSend(entry.content, false, true);
+      this._flushingEntry = null;
+      // Requeued, or failed for another reason and now offers its own retry
+      if (this.state.get("outbox")[0] === entry || this.state.get("lastFailedMessage")) break;
+    }
+  }
+
+  /**
+   * Tracks whether another tab awaits an answer. That tab may close or crash
+   * without saying it stopped, so its sending lock, or without Web Locks a
+   * timeout, ends the wait as well.
+   */
+  _setRemoteSending(active) {
+    this._remoteSending = active;
+    this.ui.hideTyping();
+    clearTimeout(this._tabFlushTimer);
+    clearTimeout(this._remoteSendingTimer);
+    const wait = (this._remoteSendingWait = {});
+    if (active) {
+      this.ui.showTyping();
+      const stopped = () => {
+        if (this._remoteSendingWait === wait && this.state) this._setRemoteSending(false);
+      };
+      const released = this.state.whenReleasedInTabs("sending");
+      if (released) {
+        released.then(stopped, () => {});
+      } else {
+        this._remoteSendingTimer = setTimeout(stopped, TIMINGS.REMOTE_SENDING_EXPIRY);
+      }
+    } else {
+      // That tab sends what is queued first; take over only if it does not
+      this._tabFlushTimer = setTimeout(() => this._flushOutbox(), TIMINGS.TAB_FLUSH_GRACE);
+    }
+  }
+
+  /**
+   * Mirrors what other tabs of this widget do: their saved conversation,
+   * and a typing indicator while one of them awaits an answer, which then
+   * arrives with their next saved state instead of being requested here too
+   */
+  _onTabMessage(message) {
+    if (message.type === "sending") {
+      this._setRemoteSending(message.active);
+    } else if (message.type === "state") {
+      if (this.state.get("history").length > 0) {
+        this._rebuildMessagesFromHistory();
+      } else {
+        clearTimeout(this._welcomeTimer);
+        this.ui.clearMessages();
+        this._needsWelcome = true;
+      }
+      this.ui.setPrivateMode(this.state.get("privateMode"), this.options.privateModeBorderColor);
+      this._renderOutbox();
+      if (this.ui.isThreadListOpen()) this.ui.renderThreadList(this._threadListItems());
+      if (this._remoteSending) this.ui.showTyping();
+    } else if (message.type === "forget") {
+      this.state.forgetDevice(true);
+      this._showForgotten();
+    }
+  }
+
+  /**
+   * Drops a queued message before it was sent
+   */
+  _handleCancelPending(id) {
+    this.state.update({
+      outbox: this.state.get("outbox").filter((entry) => entry.id !== id),
+    });
+    this._renderOutbox();
+    this._trackEvent('chat_message_unqueued');
+  }
+
+  /**
+   * Stops the in-flight streamed response; the partial answer is kept
+   */
+  _handleStop() {
+    if (!this.state.get("isSending")) return;
+    this.api.cancel();
   }
 
   /**
@@ -3887,7 +8237,7 @@ class UniversalChatWidget {
       this.state.update({
         history: [
           ...this.state.get("history"),
-          { role: "assistant", content: this.options.welcomeMessage },
+          { role: "assistant", content: this.options.welcomeMessage, timestamp: Date.now() },
         ],
       });
     }, delay);
@@ -3900,16 +8250,30 @@ class UniversalChatWidget {
     const history = this.state.get("history");
     if (history.length > 0) {
       this.ui.clearMessages();
-      history.forEach((msg) => {
+      history.forEach((msg, index) => {
         if (msg.role !== "system") {
           const formatted = this.renderer.formatMessage(msg.content);
           const msgEl = this.ui.addMessage(
             msg.role === "user" ? "user" : "assistant",
             formatted,
-            "",
+            msg.timestamp ? this._formatTime(new Date(msg.timestamp)) : "",
           );
           this.renderer.addCopyButtonsToCodeBlocks(msgEl);
-          this.renderer.renderCitations(msgEl, []);
+          this.renderer.renderCitations(msgEl, msg.sources || []);
+          this._addMessageActions(msgEl, msg);
+          if (index === history.length - 1) this._offerRegenerate(msgEl);
+          if (msg.reasoning && this.options.showReasoning) {
+            this.ui.setReasoning(msgEl, this.renderer.formatMessage(msg.reasoning), true);
+          }
+          if (msg.tools) this.ui.addToolTrace(msgEl, msg.tools);
+          if (msg.usage && this.options.showUsage) {
+            this.ui.setUsage(msgEl, this._formatUsage(msg.usage));
+          }
+          if (msg.truncated && msg.usage?.finishReason === "length" && index === history.length - 1) {
+            this.ui.addContinueAction(msgEl, "responseCutOff");
+          } else if (msg.truncated) {
+            this.ui.addStoppedNotice(msgEl);
+          }
         }
       });
     } else {
@@ -3917,6 +8281,23 @@ class UniversalChatWidget {
     }
   }
 
+  /**
+   * Where summary requests go. The bundled proxy takes them at /summarize,
+   * next to /chat, and does not log them as turns of the conversation; the
+   * other transports send them to apiEndpoint. Null if there is no such
+   * endpoint, which leaves summarizeHistory off.
+   */
+  _summaryEndpoint() {
+    const { summaryEndpoint, apiEndpoint, transport } = this.options;
+    if (summaryEndpoint) return summaryEndpoint;
+    if (transport !== "proxy") return apiEndpoint;
+    if (/\/chat\/?$/.test(apiEndpoint)) return apiEndpoint.replace(/\/chat\/?$/, "/summarize");
+    if (this.options.summarizeHistory) {
+      console.warn("Chat Widget: summarizeHistory needs a summaryEndpoint unless apiEndpoint is the proxy's /chat; history will be compressed instead");
+    }
+    return null;
+  }
+
   /**
    * Normalizes options with defaults
    */
@@ -3925,6 +8306,7 @@ class UniversalChatWidget {
     const color = (key, fallback) => ChatValidators.validateColor(options[key]) || fallback;
     const clamp = (val, min, max, fallback) => { const n = parseFloat(val); return Math.max(min, Math.min(max, isNaN(n) ? fallback : n)); };
     const clampOpt = (val, min, max) => val != null ? Math.max(min, Math.min(max, parseFloat(val))) : null;
+    const retry = options.retry === true ? {} : options.retry;
     return {
       language: lang,
       headerSubtitle: options.headerSubtitle || "",
@@ -3982,20 +8364,52 @@ class UniversalChatWidget {
       windowWidth: options.windowWidth ?? SIZES.WINDOW_WIDTH,
       windowHeight: options.windowHeight ?? SIZES.WINDOW_HEIGHT,
       showModelInfo: options.showModelInfo ?? false,
+      showReasoning: options.showReasoning ?? false,
+      showUsage: options.showUsage ?? false,
+      toolLabels: options.toolLabels && typeof options.toolLabels === "object" ? options.toolLabels : {},
       maxHistoryTokens: options.maxHistoryTokens ?? LIMITS.MAX_HISTORY_TOKENS,
+      tokenizer: typeof options.tokenizer?.count === "function" ? options.tokenizer : null,
+      summarizeHistory: options.summarizeHistory ?? false,
+      summaryEndpoint: ChatValidators.validateApiEndpoint(options.summaryEndpoint) || null,
       alwaysKeepRecentMessages:
         options.alwaysKeepRecentMessages ?? LIMITS.ALWAYS_KEEP_RECENT,
       maxHistoryMessages:
         options.maxHistoryMessages ?? LIMITS.MAX_HISTORY_MESSAGES,
+      storage: ["session", "local", "indexeddb"].includes(options.storage) ||
+        (options.storage && typeof options.storage === "object")
+        ? options.storage
+        : "session",
+      storageKey: typeof options.storageKey === "string" && options.storageKey ? options.storageKey : null,
+      maxStorageSize: options.maxStorageSize ?? LIMITS.MAX_STORAGE_SIZE,
+      encryptStorage: options.encryptStorage ?? false,
+      historyTTL: options.historyTTL > 0 ? options.historyTTL : null,
+      allowForgetDevice: options.allowForgetDevice ?? false,
       stream: options.stream ?? true,
       debug: options.debug ?? false,
       requestTimeout: options.requestTimeout ?? TIMINGS.REQUEST_TIMEOUT,
+      streamIdleTimeout: options.streamIdleTimeout ?? TIMINGS.STREAM_IDLE_TIMEOUT,
+      transport: ["openai", "mock"].includes(options.transport) ? options.transport : "proxy",
+      mock: options.mock && typeof options.mock === "object" ? options.mock : {},
+      retry: retry && typeof retry === "object" ? {
+        maxAttempts: Math.round(clamp(retry.maxAttempts, 1, 10, LIMITS.RETRY_MAX_ATTEMPTS)),
+        baseDelay: clamp(retry.baseDelay, 0, TIMINGS.RETRY_MAX_DELAY, TIMINGS.RETRY_BASE_DELAY),
+        maxDelay: clamp(retry.maxDelay, 0, 5 * 60 * 1000, TIMINGS.RETRY_MAX_DELAY),
+      } : null,
       mode: options.mode || "floating",
       container: options.container || null,
       allowPrivateMode: options.allowPrivateMode ?? false,
+      allowThreads: options.allowThreads ?? false,
+      allowExport: options.allowExport ?? false,
+      allowEdit: options.allowEdit ?? false,
+      allowRegenerate: options.allowRegenerate ?? false,
       privateModeBorderColor: color("privateModeBorderColor", "transparent"),
       analytics: options.analytics ?? true,
       onEvent: typeof options.onEvent === 'function' ? options.onEvent : null,
+      getAuthToken: typeof options.getAuthToken === "function" ? options.getAuthToken : null,
+      refreshAuthToken: typeof options.refreshAuthToken === "function" ? options.refreshAuthToken : null,
+      middleware: Array.isArray(options.middleware)
+        ? options.middleware.filter((m) => m && typeof m === "object")
+        : [],
     };
   }
 
@@ -4013,15 +8427,56 @@ class UniversalChatWidget {
   static SIZES = SIZES;
   static LIMITS = LIMITS;
 
+  /**
+   * SSE decoder, exposed for custom transports
+   */
+  static SSEDecoder = SSEDecoder;
+
+  /**
+   * Mock transport, exposed to drive ChatAPI without the widget or a server
+   */
+  static MockTransport = MockTransport;
+
+  /**
+   * Bundled token estimator, exposed to compare against a model's tokenizer
+   */
+  static BPEEstimator = BPEEstimator;
+
+  /**
+   * Registers a tokenizer ({ count(text) }) used for history budgeting with
+   * `model`, or with every model matching a prefix such as "mistral-*"
+   */
+  static registerTokenizer(model, tokenizer) {
+    TokenCounter.register(model, tokenizer);
+  }
+
+  /**
+   * Appends a middleware to the request chain; it runs after those passed
+   * in options. Returns the widget for chaining.
+   * @param {ChatMiddleware} middleware
+   */
+  use(middleware) {
+    if (middleware && typeof middleware === "object") {
+      this._middleware.push(middleware);
+      if (this.api) this.api.middleware.push(middleware);
+    }
+    return this;
+  }
+
   /**
    * Destroys widget
    */
   destroy() {
+    if (this.ui) this._commitClear();
     clearTimeout(this._welcomeTimer);
+    clearTimeout(this._tabFlushTimer);
+    clearTimeout(this._remoteSendingTimer);
+    this._releaseSendingLock?.();
     if (this.api) this.api.cancel();
     if (this.eventBus) this.eventBus.clear();
     if (this.ui) this.ui.destroy();
     if (this._stateUnsub) this._stateUnsub();
+    if (this.state) this.state.disconnectTabs();
     this.state = null;
     this.api = null;
     this.renderer = null;
@@ -178,16 +178,28 @@ pub async fn send_chat_request_streaming(
             .or_else(|| openai_response.response.clone())
             .unwrap_or_default();
 
+        let reasoning = openai_response
+            .choices.as_ref()
+            .and_then(|c| c.first())
+            .and_then(|c| c.message.reasoning_content.clone());
+
+        let finish_reason = openai_response
+            .choices.as_ref()
+            .and_then(|c| c.first())
+            .and_then(|c| c.finish_reason.clone());
+
         let sources = openai_response.sources.clone().unwrap_or_default();
         let usage = openai_response.usage;
 
-        let mut events: Vec<Result<StreamEvent, AppError>> = vec![
-            Ok(StreamEvent::Delta(content)),
-        ];
+        let mut events: Vec<Result<StreamEvent, AppError>> = Vec::new();
+        if let Some(reasoning) = reasoning.filter(|r| !r.is_empty()) {
+            events.push(Ok(StreamEvent::Reasoning(reasoning)));
+        }
+        events.push(Ok(StreamEvent::Delta(content)));
         if !sources.is_empty() {
             events.push(Ok(StreamEvent::Sources(sources)));
         }
-        events.push(Ok(StreamEvent::Done { model, usage }));
+        events.push(Ok(StreamEvent::Done { model, usage, finish_reason }));
 
         return Ok(Box::pin(stream::iter(events)));
     }
@@ -201,6 +213,7 @@ pub async fn send_chat_request_streaming(
         let mut utf8_buffer: Vec<u8> = Vec::new();
         let mut line_buffer = String::new();
         let mut final_usage: Option<Usage> = None;
+        let mut finish_reason: Option<String> = None;
         let mut sources: Option<Vec<serde_json::Value>> = None;
         let mut finished = false;
         let mut received_content = false;
@@ -263,6 +276,7 @@ pub async fn send_chat_request_streaming(
                                         events.push(Ok(StreamEvent::Done {
                                             model: model_for_stream.clone(),
                                             usage: final_usage.take(),
+                                            finish_reason: finish_reason.take(),
                                         }));
                                     }
                                     continue;
@@ -294,11 +308,51 @@ pub async fn send_chat_request_streaming(
                                         }
                                     }
 
-                                    if let Some(content) = value
+                                    let choice = value
                                         .get("choices")
                                         .and_then(|c| c.as_array())
-                                        .and_then(|c| c.first())
-                                        .and_then(|c| c.get("delta"))
+                                        .and_then(|c| c.first());
+
+                                    if let Some(reason) = choice
+                                        .and_then(|c| c.get("finish_reason"))
+                                        .and_then(|r| r.as_str())
+                                    {
+                                        finish_reason = Some(reason.to_string());
+                                    }
+
+                                    let delta = choice.and_then(|c| c.get("delta"));
+
+                                    // vLLM/DeepSeek use `reasoning_content`, Ollama/OpenRouter `reasoning`
+                                    if let Some(reasoning) = delta
+                                        .and_then(|d| d.get("reasoning_content").or_else(|| d.get("reasoning")))
+                                        .and_then(|r| r.as_str())
+                                    {
+                                        if !reasoning.is_empty() {
+                                            events.push(Ok(StreamEvent::Reasoning(reasoning.to_string())));
+                                        }
+                                    }
+
+                                    // Only the first chunk of a tool call carries its name;
+                                    // argument fragments that follow are not forwarded
+                                    if let Some(calls) = delta
+                                        .and_then(|d| d.get("tool_calls"))
+                                        .and_then(|t| t.as_array())
+                                    {
+                                        for call in calls {
+                                            if let Some(name) = call
+                                                .get("function")
+                                                .and_then(|f| f.get("name"))
+                                                .and_then(|n| n.as_str())
+                                            {
+                                                events.push(Ok(StreamEvent::Tool {
+                                                    id: call.get("id").and_then(|i| i.as_str()).map(str::to_string),
+                                                    name: name.to_string(),
+                                                }));
+                                            }
+                                        }
+                                    }
+
+                                    if let Some(content) = delta
                                         .and_then(|d| d.get("content"))
                                         .and_then(|c| c.as_str())
                                     {
@@ -16,6 +16,18 @@ pub struct ChatRequest {
     pub conversation_id: Option<String>,
     pub history: Option<Vec<Message>>,
     pub private_mode: Option<bool>,
+    /// Client-generated ID of the user turn; retries of a turn reuse it
+    #[serde(skip_serializing_if = "Option::is_none")]
+    pub client_message_id: Option<String>,
+    /// Client-generated ID of the conversation branch, set once a turn has been edited and resent
+    #[serde(skip_serializing_if = "Option::is_none")]
+    pub branch_id: Option<String>,
+    /// Set when the student asks for another answer to the same turn
+    #[serde(default)]
+    pub regenerate: bool,
+    /// For a regenerated answer, the `client_message_id` of the turn it answers again
+    #[serde(skip_serializing_if = "Option::is_none")]
+    pub original_message_id: Option<String>,
     #[serde(default = "default_stream")]
     pub stream: bool,
 }
@@ -123,10 +135,19 @@ pub struct ChatResponse {
 #[derive(Debug)]
 pub enum StreamEvent {
     Delta(String),
+    /// Reasoning tokens (`reasoning_content` / `reasoning`) from thinking models
+    Reasoning(String),
+    /// A tool call the upstream started, e.g. a document library lookup
+    Tool {
+        id: Option<String>,
+        name: String,
+    },
     Sources(Vec<serde_json::Value>),
     Done {
         model: String,
         usage: Option<Usage>,
+        /// `stop`, or `length` when the answer hit the token limit
+        finish_reason: Option<String>,
     },
     Error(String),
 }
@@ -150,6 +171,17 @@ pub struct SseDoneData {
     pub prompt_tokens: Option<u32>,
     #[serde(skip_serializing_if = "Option::is_none")]
     pub completion_tokens: Option<u32>,
+    #[serde(skip_serializing_if = "Option::is_none")]
+    pub finish_reason: Option<String>,
+}
+
+/// SSE "tool" event data sent to the widget
+#[derive(Debug, Serialize)]
+#[serde(rename_all = "camelCase")]
+pub struct SseToolData {
+    #[serde(skip_serializing_if = "Option::is_none")]
+    pub id: Option<String>,
+    pub name: String,
 }
 
 /// SSE "sources" event data sent to the widget
@@ -159,6 +191,12 @@ pub struct SseSourcesData {
     pub sources: Vec<serde_json::Value>,
 }
 
+/// Response of POST /summarize
+#[derive(Debug, Serialize)]
+pub struct SummaryResponse {
+    pub summary: String,
+}
+
 /// SSE "error" event data sent to the widget
 #[derive(Debug, Serialize)]
 #[serde(rename_all = "camelCase")]
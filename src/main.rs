@@ -6,6 +6,7 @@ mod dto;
 mod error;
 mod rate_limit;
 mod routes;
+mod stream_replay;
 mod telemetry;
 mod tracking;
 
@@ -14,23 +15,24 @@ use std::sync::Arc;
 use std::time::Instant;
 
 use axum::extract::{ConnectInfo, State};
-use axum::http::{HeaderMap, Method};
+use axum::http::{header, HeaderMap, Method};
 use axum::routing::{get, post};
 use axum::response::{IntoResponse, Redirect};
-use axum::response::sse::{Event, KeepAlive, Sse};
+use axum::response::sse::{KeepAlive, Sse};
 use axum::{Json, Router};
 use futures::stream::StreamExt;
-use tower_http::cors::{Any, CorsLayer};
+use tower_http::cors::{AllowHeaders, Any, CorsLayer};
 use tower_sessions::cookie::SameSite;
 use tower_sessions::{Expiry, SessionManagerLayer};
 use tower_sessions_memory_store::MemoryStore;
 
 use crate::ai_client::{send_chat_request, send_chat_request_streaming};
 use crate::config::Config;
-use crate::dto::{ChatRequest, StreamEvent, SseDeltaData, SseDoneData, SseSourcesData, SseErrorData};
+use crate::dto::{ChatRequest, Message, Role, StreamEvent, SseDeltaData, SseDoneData, SseSourcesData, SseErrorData, SseToolData, SummaryResponse};
 use crate::error::AppError;
-use crate::rate_limit::rate_limit_middleware;
+use crate::rate_limit::{rate_limit_middleware, summary_rate_limit_middleware};
 use crate::routes::telemetry_routes;
+use crate::stream_replay::BufferedEvent;
 use crate::telemetry::{DbClient, ChatbotLogger, TelemetryContext, init_tracing};
 use crate::tracking::hash_user_id;
 
@@ -44,7 +46,11 @@ async fn main() {
     let cors = {
         let base = CorsLayer::new()
             .allow_methods([Method::POST, Method::OPTIONS])
-            .allow_headers(Any);
+            // Mirrored rather than `*`: the wildcard does not cover the
+            // Authorization header sent by widgets using getAuthToken
+            .allow_headers(AllowHeaders::mirror_request())
+            // Lets the widget read Retry-After on 429s for its backoff
+            .expose_headers([header::RETRY_AFTER]);
         // "Any" or "*" in ALLOWED_ORIGINS opens CORS to any origin; otherwise
         // each entry is parsed as a literal allowed Origin header value.
         let wildcard = config
@@ -77,6 +83,12 @@ async fn main() {
     let chat_routes = Router::new()
         .route("/chat", post(chat_request_handler))
         .layer(axum::middleware::from_fn(rate_limit_middleware))
+        .layer(cors.clone());
+
+    // Public: history summaries for the widget, rate-limited separately
+    let summary_routes = Router::new()
+        .route("/summarize", post(summarize_request_handler))
+        .layer(axum::middleware::from_fn(summary_rate_limit_middleware))
         .layer(cors);
 
     // Public routes (no auth required)
@@ -92,6 +104,7 @@ async fn main() {
 
     let app = Router::new()
         .merge(chat_routes)
+        .merge(summary_routes)
         .merge(auth_routes)
         .merge(protected_routes)
         .layer(session_layer)
@@ -117,6 +130,38 @@ async fn shutdown_signal() {
     tracing::info!("Shutdown signal received, draining connections...");
 }
 
+/// Steers the upstream towards a plain synopsis instead of a tutoring answer
+const SUMMARY_SYSTEM_PROMPT: &str =
+    "You condense conversations. Follow the final instruction and reply with the summary only.";
+
+/// Folds older turns into a synopsis for the widget's `summarizeHistory`.
+/// Not a turn of the conversation: nothing is logged and no session is created.
+async fn summarize_request_handler(
+    State(config): State<Arc<Config>>,
+    headers: HeaderMap,
+    Json(mut payload): Json<ChatRequest>,
+) -> Result<Json<SummaryResponse>, AppError> {
+    if payload.message.is_empty() {
+        return Err(AppError::BadRequest("message cannot be empty".to_string()));
+    }
+
+    let mut history = vec![Message {
+        role: Role::System,
+        content: SUMMARY_SYSTEM_PROMPT.to_string(),
+    }];
+    history.extend(payload.history.take().unwrap_or_default());
+    payload.history = Some(history);
+    payload.stream = false;
+
+    let origin = headers
+        .get("origin")
+        .and_then(|v| v.to_str().ok())
+        .map(|s| s.to_string());
+
+    let response = send_chat_request(&config, payload, origin).await?;
+    Ok(Json(SummaryResponse { summary: response.response }))
+}
+
 async fn chat_request_handler(
     ConnectInfo(addr): ConnectInfo<SocketAddr>,
     State(config): State<Arc<Config>>,
@@ -127,6 +172,19 @@ async fn chat_request_handler(
         return Err(AppError::BadRequest("message cannot be empty".to_string()));
     }
 
+    // Reconnect after a dropped stream: replay what the client missed and
+    // follow the rest. The original request was already logged and dispatched.
+    if payload.stream {
+        if let Some(last_event_id) = headers.get("last-event-id").and_then(|v| v.to_str().ok()) {
+            let (buffer, start) = stream_replay::lookup(last_event_id).ok_or_else(|| {
+                AppError::BadRequest("stream expired or unknown, cannot resume".to_string())
+            })?;
+            return Ok(Sse::new(stream_replay::subscribe(buffer, start))
+                .keep_alive(KeepAlive::default())
+                .into_response());
+        }
+    }
+
     let session_id = payload
         .session_id
         .clone()
@@ -145,6 +203,18 @@ async fn chat_request_handler(
     if let Some(cid) = &payload.conversation_id {
         context = context.with_conversation(cid.clone());
     }
+    if let Some(mid) = &payload.client_message_id {
+        context = context.with_client_message(mid.clone());
+    }
+    if let Some(bid) = &payload.branch_id {
+        context = context.with_branch(bid.clone());
+    }
+    if payload.regenerate {
+        context = context.with_regenerated();
+    }
+    if let Some(oid) = &payload.original_message_id {
+        context = context.with_original_message(oid.clone());
+    }
 
     let logger = config.db.as_ref().map(|pool| {
         ChatbotLogger::new(Arc::new(DbClient::new(pool.clone())))
@@ -233,27 +303,25 @@ async fn chat_request_handler(
         let mut accumulated_content = String::new();
         let mut first_token_time: Option<Instant> = None;
 
-        let sse_stream = event_stream.map(move |event_result| -> Result<Event, std::convert::Infallible> {
+        let sse_stream = event_stream.map(move |event_result| -> BufferedEvent {
             match event_result {
                 Ok(StreamEvent::Delta(content)) => {
                     if first_token_time.is_none() {
                         first_token_time = Some(Instant::now());
                     }
                     accumulated_content.push_str(&content);
-                    let data = SseDeltaData { content };
-                    Ok(Event::default()
-                        .event("delta")
-                        .json_data(data)
-                        .unwrap_or_else(|_| Event::default().event("delta").data("{}")))
+                    BufferedEvent::json("delta", &SseDeltaData { content })
+                }
+                Ok(StreamEvent::Reasoning(content)) => {
+                    BufferedEvent::json("reasoning", &SseDeltaData { content })
+                }
+                Ok(StreamEvent::Tool { id, name }) => {
+                    BufferedEvent::json("tool", &SseToolData { id, name })
                 }
                 Ok(StreamEvent::Sources(sources)) => {
-                    let data = SseSourcesData { sources };
-                    Ok(Event::default()
-                        .event("sources")
-                        .json_data(data)
-                        .unwrap_or_else(|_| Event::default().event("sources").data("{}")))
+                    BufferedEvent::json("sources", &SseSourcesData { sources })
                 }
-                Ok(StreamEvent::Done { model, usage }) => {
+                Ok(StreamEvent::Done { model, usage, finish_reason }) => {
                     let total_latency_ms = start_time.elapsed().as_millis() as i32;
                     let ttft_ms = first_token_time
                         .map(|t| (t - start_time).as_millis() as i32);
@@ -270,6 +338,7 @@ async fn chat_request_handler(
                         token_count: total_tokens,
                         prompt_tokens,
                         completion_tokens,
+                        finish_reason,
                     };
 
                     // Spawn telemetry logging in background
@@ -279,6 +348,10 @@ async fn chat_request_handler(
                         let log_context_session = session_id_clone.clone();
                         let log_context_user = context.user_id.clone();
                         let log_context_conversation = context.conversation_id.clone();
+                        let log_context_client_message = context.client_message_id.clone();
+                        let log_context_branch = context.branch_id.clone();
+                        let log_context_regenerated = context.regenerated;
+                        let log_context_original_message = context.original_message_id.clone();
                         let log_content = accumulated_content.clone();
                         let log_model = model.clone();
                         let log_service = service_name_clone.clone();
@@ -288,6 +361,10 @@ async fn chat_request_handler(
                                 trace_id: log_context_trace,
                                 session_id: log_context_session,
                                 conversation_id: log_context_conversation,
+                                client_message_id: log_context_client_message,
+                                branch_id: log_context_branch,
+                                regenerated: log_context_regenerated,
+                                original_message_id: log_context_original_message,
                                 user_id: log_context_user,
                             };
                             if let Err(e) = log_logger
@@ -309,10 +386,7 @@ async fn chat_request_handler(
                         });
                     }
 
-                    Ok(Event::default()
-                        .event("done")
-                        .json_data(done_data)
-                        .unwrap_or_else(|_| Event::default().event("done").data("{}")))
+                    BufferedEvent::json("done", &done_data)
                 }
                 Ok(StreamEvent::Error(msg)) => {
                     // Log error in background
@@ -322,6 +396,10 @@ async fn chat_request_handler(
                         let err_session = session_id_clone.clone();
                         let err_user = context.user_id.clone();
                         let err_conversation = context.conversation_id.clone();
+                        let err_client_message = context.client_message_id.clone();
+                        let err_branch = context.branch_id.clone();
+                        let err_regenerated = context.regenerated;
+                        let err_original_message = context.original_message_id.clone();
                         let err_msg = msg.clone();
                         let err_service = service_name_clone.clone();
 
@@ -330,29 +408,51 @@ async fn chat_request_handler(
                                 trace_id: err_trace,
                                 session_id: err_session,
                                 conversation_id: err_conversation,
+                                client_message_id: err_client_message,
+                                branch_id: err_branch,
+                                regenerated: err_regenerated,
+                                original_message_id: err_original_message,
                                 user_id: err_user,
                             };
                             let _ = log_logger.log_error(&ctx, &err_msg, None, &err_service).await;
                         });
                     }
 
-                    let data = SseErrorData { error: msg };
-                    Ok(Event::default()
-                        .event("error")
-                        .json_data(data)
-                        .unwrap_or_else(|_| Event::default().event("error").data("{}")))
+                    BufferedEvent::json("error", &SseErrorData { error: msg })
                 }
-                Err(e) => {
-                    let data = SseErrorData { error: e.to_string() };
-                    Ok(Event::default()
-                        .event("error")
-                        .json_data(data)
-                        .unwrap_or_else(|_| Event::default().event("error").data("{}")))
+                Err(e) => BufferedEvent::json("error", &SseErrorData { error: e.to_string() }),
+            }
+        });
+
+        // Read the upstream independently of this connection so a client that
+        // drops mid-answer can resume from the buffer via Last-Event-ID, but
+        // give up on it once no client has come back in time
+        let buffer = stream_replay::register();
+        let producer = buffer.clone();
+        tokio::spawn(async move {
+            let mut sse_stream = sse_stream;
+            loop {
+                tokio::select! {
+                    event = sse_stream.next() => match event {
+                        Some(event) => producer.push(event),
+                        None => break,
+                    },
+                    _ = producer.abandoned() => {
+                        tracing::info!("Stream abandoned by its client, closing upstream");
+                        producer.push(BufferedEvent::json(
+                            "error",
+                            &SseErrorData { error: "Response abandoned".to_string() },
+                        ));
+                        break;
+                    }
                 }
             }
+            // Dropping the stream here closes the upstream request
+            drop(sse_stream);
+            producer.finish();
         });
 
-        Ok(Sse::new(sse_stream)
+        Ok(Sse::new(stream_replay::subscribe(buffer, 0))
             .keep_alive(KeepAlive::default())
             .into_response())
     }
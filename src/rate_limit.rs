@@ -4,7 +4,7 @@ use std::sync::LazyLock;
 use std::time::{Duration, Instant};
 
 use axum::{
-    body::Body, extract::ConnectInfo, http::{HeaderMap, Request}, middleware::Next,
+    body::Body, extract::ConnectInfo, http::{header, HeaderMap, HeaderValue, Request}, middleware::Next,
     response::IntoResponse, response::Response,
 };
 use dashmap::DashMap;
@@ -38,20 +38,58 @@ impl<K: Eq + Hash + Clone> RateLimiter<K> {
         entry.0 += 1;
         entry.0 > self.max_requests
     }
+
+    /// Time left until the key's current window resets.
+    pub fn retry_after(&self, key: &K) -> Duration {
+        self.map
+            .get(key)
+            .map(|entry| self.window.saturating_sub(entry.1.elapsed()))
+            .unwrap_or_default()
+    }
 }
 
 static CHAT_LIMITER: LazyLock<RateLimiter<IpAddr>> =
     LazyLock::new(|| RateLimiter::new(50, 60));
 
+/// Summary requests are background work, so they get their own, smaller
+/// budget instead of using up the chat one.
+static SUMMARY_LIMITER: LazyLock<RateLimiter<IpAddr>> =
+    LazyLock::new(|| RateLimiter::new(20, 60));
+
 pub async fn rate_limit_middleware(
     ConnectInfo(addr): ConnectInfo<SocketAddr>,
     headers: HeaderMap,
     req: Request<Body>,
     next: Next,
 ) -> Response {
-    let client_ip = resolve_client_ip(&headers, &addr);
-    if CHAT_LIMITER.is_limited(&client_ip) {
-        return TooManyRequests.into_response();
+    limit_by_ip(&CHAT_LIMITER, &headers, &addr, req, next).await
+}
+
+pub async fn summary_rate_limit_middleware(
+    ConnectInfo(addr): ConnectInfo<SocketAddr>,
+    headers: HeaderMap,
+    req: Request<Body>,
+    next: Next,
+) -> Response {
+    limit_by_ip(&SUMMARY_LIMITER, &headers, &addr, req, next).await
+}
+
+async fn limit_by_ip(
+    limiter: &RateLimiter<IpAddr>,
+    headers: &HeaderMap,
+    addr: &SocketAddr,
+    req: Request<Body>,
+    next: Next,
+) -> Response {
+    let client_ip = resolve_client_ip(headers, addr);
+    if limiter.is_limited(&client_ip) {
+        // Rounded up so clients never retry before the window has actually reset
+        let retry_after = limiter.retry_after(&client_ip).as_secs() + 1;
+        let mut response = TooManyRequests.into_response();
+        response
+            .headers_mut()
+            .insert(header::RETRY_AFTER, HeaderValue::from(retry_after));
+        return response;
     }
     next.run(req).await
 }
@@ -0,0 +1,274 @@
+//! Short-lived replay buffers for streamed chat responses.
+//!
+//! Each streamed response is recorded while the upstream is read, and every
+//! SSE event carries `id: <stream_id>:<index>`. A widget that loses its
+//! connection mid-answer reconnects with `Last-Event-ID` and receives the
+//! remaining events instead of being left with half an answer. Once no
+//! client has followed a response for `RESUME_WINDOW`, its upstream is
+//! dropped rather than read to the end.
+
+use std::convert::Infallible;
+use std::sync::{Arc, LazyLock, Mutex};
+use std::time::Duration;
+
+use axum::response::sse::Event;
+use dashmap::DashMap;
+use futures::stream::{self, Stream};
+use serde::Serialize;
+use tokio::sync::Notify;
+use tokio::time::Instant;
+
+/// How long a finished response can still be resumed.
+const REPLAY_TTL: Duration = Duration::from_secs(120);
+
+/// How long an unfinished response keeps reading the upstream after its last
+/// client disconnected, waiting for that client to resume.
+const RESUME_WINDOW: Duration = Duration::from_secs(60);
+
+static BUFFERS: LazyLock<DashMap<String, Arc<ReplayBuffer>>> = LazyLock::new(DashMap::new);
+
+/// A named SSE event with its JSON payload, ready to be (re)sent.
+pub struct BufferedEvent {
+    name: &'static str,
+    data: String,
+}
+
+impl BufferedEvent {
+    pub fn json<T: Serialize>(name: &'static str, data: &T) -> Self {
+        Self {
+            name,
+            data: serde_json::to_string(data).unwrap_or_else(|_| "{}".to_string()),
+        }
+    }
+}
+
+#[derive(Default)]
+struct BufferState {
+    events: Vec<Arc<BufferedEvent>>,
+    finished: bool,
+    watchers: usize,
+    unwatched_since: Option<Instant>,
+}
+
+pub struct ReplayBuffer {
+    id: String,
+    state: Mutex<BufferState>,
+    notify: Notify,
+    abandoned: Notify,
+}
+
+impl ReplayBuffer {
+    pub fn push(&self, event: BufferedEvent) {
+        self.state.lock().unwrap().events.push(Arc::new(event));
+        self.notify.notify_waiters();
+    }
+
+    /// Marks the response complete and schedules its removal after `REPLAY_TTL`.
+    pub fn finish(&self) {
+        self.state.lock().unwrap().finished = true;
+        self.notify.notify_waiters();
+
+        let id = self.id.clone();
+        tokio::spawn(async move {
+            tokio::time::sleep(REPLAY_TTL).await;
+            BUFFERS.remove(&id);
+        });
+    }
+
+    /// Resolves once no client has followed the unfinished response for
+    /// `RESUME_WINDOW`, so the producer can stop reading the upstream.
+    pub async fn abandoned(&self) {
+        self.abandoned.notified().await;
+    }
+
+    fn watch(self: &Arc<Self>) -> Watcher {
+        let mut state = self.state.lock().unwrap();
+        state.watchers += 1;
+        state.unwatched_since = None;
+        Watcher(self.clone())
+    }
+}
+
+/// A client following a buffer. The last one to leave starts the resume window.
+struct Watcher(Arc<ReplayBuffer>);
+
+impl Drop for Watcher {
+    fn drop(&mut self) {
+        let mut state = self.0.state.lock().unwrap();
+        state.watchers -= 1;
+        if state.watchers > 0 || state.finished {
+            return;
+        }
+        state.unwatched_since = Some(Instant::now());
+        drop(state);
+
+        let buffer = self.0.clone();
+        tokio::spawn(async move {
+            tokio::time::sleep(RESUME_WINDOW).await;
+            let abandoned = {
+                let state = buffer.state.lock().unwrap();
+                !state.finished
+                    && state
+                        .unwatched_since
+                        .is_some_and(|since| since.elapsed() >= RESUME_WINDOW)
+            };
+            if abandoned {
+                // Stores a permit, so the producer sees it even between polls
+                buffer.abandoned.notify_one();
+            }
+        });
+    }
+}
+
+/// Starts recording a new streamed response under a fresh stream ID.
+///
+/// The trace ID is shared by every turn of a conversation, so it cannot key
+/// the buffer on its own.
+pub fn register() -> Arc<ReplayBuffer> {
+    let buffer = Arc::new(ReplayBuffer {
+        id: uuid::Uuid::new_v4().to_string(),
+        state: Mutex::new(BufferState::default()),
+        notify: Notify::new(),
+        abandoned: Notify::new(),
+    });
+    BUFFERS.insert(buffer.id.clone(), buffer.clone());
+    buffer
+}
+
+/// Resolves a `Last-Event-ID` header to its buffer and the index to resume from.
+/// Returns `None` if the ID is malformed or the response has expired.
+pub fn lookup(last_event_id: &str) -> Option<(Arc<ReplayBuffer>, usize)> {
+    let (id, index) = last_event_id.trim().rsplit_once(':')?;
+    let index: usize = index.parse().ok()?;
+    let buffer = BUFFERS.get(id)?.value().clone();
+    Some((buffer, index + 1))
+}
+
+/// Streams buffered events from `start` onwards, then follows live events
+/// until the response is finished.
+pub fn subscribe(
+    buffer: Arc<ReplayBuffer>,
+    start: usize,
+) -> impl Stream<Item = Result<Event, Infallible>> {
+    let watcher = buffer.watch();
+    stream::unfold((watcher, start), |(watcher, index)| async move {
+        let buffer = &watcher.0;
+        loop {
+            // Register for wakeups before checking, so a push between the
+            // check and the await is not missed
+            let notified = buffer.notify.notified();
+            let next = {
+                let state = buffer.state.lock().unwrap();
+                match state.events.get(index) {
+                    Some(event) => Some(event.clone()),
+                    None if state.finished => return None,
+                    None => None,
+                }
+            };
+
+            if let Some(event) = next {
+                drop(notified);
+                let sse = Event::default()
+                    .id(format!("{}:{}", buffer.id, index))
+                    .event(event.name)
+                    .data(event.data.as_str());
+                return Some((Ok(sse), (watcher, index + 1)));
+            }
+            notified.await;
+        }
+    })
+}
+
+#[cfg(test)]
+mod tests {
+    use super::*;
+    use futures::StreamExt;
+
+    fn delta(text: &str) -> BufferedEvent {
+        BufferedEvent::json("delta", &serde_json::json!({ "content": text }))
+    }
+
+    #[tokio::test]
+    async fn lookup_rejects_malformed_and_unknown_ids() {
+        let buffer = register();
+        for id in [
+            String::new(),
+            buffer.id.clone(),
+            format!("{}:", buffer.id),
+            format!("{}:abc", buffer.id),
+            format!("{}:-1", buffer.id),
+            format!("{}:0", uuid::Uuid::new_v4()),
+        ] {
+            assert!(lookup(&id).is_none(), "accepted {id:?}");
+        }
+    }
+
+    #[tokio::test]
+    async fn lookup_resumes_after_the_last_seen_event() {
+        let buffer = register();
+        let (found, start) = lookup(&format!(" {}:3\n", buffer.id)).unwrap();
+        assert!(Arc::ptr_eq(&found, &buffer));
+        assert_eq!(start, 4);
+    }
+
+    #[tokio::test]
+    async fn subscribe_replays_from_start_and_ends_when_finished() {
+        let buffer = register();
+        for text in ["a", "b", "c"] {
+            buffer.push(delta(text));
+        }
+        buffer.finish();
+        assert_eq!(subscribe(buffer.clone(), 0).count().await, 3);
+        assert_eq!(subscribe(buffer.clone(), 2).count().await, 1);
+        assert_eq!(subscribe(buffer, 3).count().await, 0);
+    }
+
+    #[tokio::test]
+    async fn subscribe_follows_live_events() {
+        let buffer = register();
+        buffer.push(delta("a"));
+        let reader = tokio::spawn(subscribe(buffer.clone(), 0).count());
+        tokio::task::yield_now().await;
+        buffer.push(delta("b"));
+        buffer.finish();
+        assert_eq!(reader.await.unwrap(), 2);
+    }
+
+    #[tokio::test(start_paused = true)]
+    async fn finished_buffers_expire_after_the_ttl() {
+        let buffer = register();
+        let id = format!("{}:0", buffer.id);
+        buffer.finish();
+        tokio::time::sleep(REPLAY_TTL - Duration::from_secs(1)).await;
+        assert!(lookup(&id).is_some());
+        tokio::time::sleep(Duration::from_secs(2)).await;
+        assert!(lookup(&id).is_none());
+    }
+
+    #[tokio::test(start_paused = true)]
+    async fn unwatched_responses_are_abandoned_after_the_resume_window() {
+        let buffer = register();
+        drop(subscribe(buffer.clone(), 0));
+        let waited = tokio::time::timeout(RESUME_WINDOW + Duration::from_secs(1), buffer.abandoned());
+        assert!(waited.await.is_ok());
+    }
+
+    #[tokio::test(start_paused = true)]
+    async fn a_resumed_client_keeps_the_response_alive() {
+        let buffer = register();
+        drop(subscribe(buffer.clone(), 0));
+        tokio::time::sleep(RESUME_WINDOW / 2).await;
+        let _resumed = subscribe(buffer.clone(), 0);
+        let waited = tokio::time::timeout(RESUME_WINDOW * 2, buffer.abandoned());
+        assert!(waited.await.is_err());
+    }
+
+    #[tokio::test(start_paused = true)]
+    async fn finished_responses_are_never_abandoned() {
+        let buffer = register();
+        buffer.finish();
+        drop(subscribe(buffer.clone(), 0));
+        let waited = tokio::time::timeout(RESUME_WINDOW * 2, buffer.abandoned());
+        assert!(waited.await.is_err());
+    }
+}
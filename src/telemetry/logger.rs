@@ -12,6 +12,10 @@ pub struct TelemetryContext {
     pub session_id: String,
     pub conversation_id: Option<String>,
     pub user_id: Option<String>,
+    pub client_message_id: Option<String>,
+    pub branch_id: Option<String>,
+    pub regenerated: bool,
+    pub original_message_id: Option<String>,
 }
 
 impl TelemetryContext {
@@ -21,6 +25,10 @@ impl TelemetryContext {
             session_id,
             conversation_id: None,
             user_id: None,
+            client_message_id: None,
+            branch_id: None,
+            regenerated: false,
+            original_message_id: None,
         }
     }
 
@@ -33,6 +41,45 @@ impl TelemetryContext {
         self.conversation_id = Some(conversation_id);
         self
     }
+
+    pub fn with_client_message(mut self, client_message_id: String) -> Self {
+        self.client_message_id = Some(client_message_id);
+        self
+    }
+
+    pub fn with_branch(mut self, branch_id: String) -> Self {
+        self.branch_id = Some(branch_id);
+        self
+    }
+
+    pub fn with_regenerated(mut self) -> Self {
+        self.regenerated = true;
+        self
+    }
+
+    pub fn with_original_message(mut self, original_message_id: String) -> Self {
+        self.original_message_id = Some(original_message_id);
+        self
+    }
+
+    /// Attributes shared by both sides of a turn, so retried turns can be
+    /// deduplicated and edited branches and regenerated answers told apart
+    fn turn_attributes(&self) -> serde_json::Map<String, serde_json::Value> {
+        let mut attrs = serde_json::Map::new();
+        if let Some(id) = &self.client_message_id {
+            attrs.insert("client_message_id".to_string(), serde_json::Value::String(id.clone()));
+        }
+        if let Some(id) = &self.branch_id {
+            attrs.insert("branch_id".to_string(), serde_json::Value::String(id.clone()));
+        }
+        if self.regenerated {
+            attrs.insert("regenerated".to_string(), serde_json::Value::Bool(true));
+        }
+        if let Some(id) = &self.original_message_id {
+            attrs.insert("original_message_id".to_string(), serde_json::Value::String(id.clone()));
+        }
+        attrs
+    }
 }
 
 /// Logger that integrates with OpenTelemetry and PostgreSQL
@@ -70,6 +117,10 @@ impl ChatbotLogger {
 
         log.user_id = context.user_id.clone();
         log.conversation_id = context.conversation_id.clone();
+        let attrs = context.turn_attributes();
+        if !attrs.is_empty() {
+            log.attributes = serde_json::Value::Object(attrs);
+        }
 
         self.db_client.insert_log(&log).await?;
         Ok(())
@@ -116,10 +167,10 @@ impl ChatbotLogger {
         log.conversation_id = context.conversation_id.clone();
 
         // Store TTFT in attributes JSONB
-        let mut attrs = match attributes {
-            Some(serde_json::Value::Object(m)) => m,
-            _ => serde_json::Map::new(),
-        };
+        let mut attrs = context.turn_attributes();
+        if let Some(serde_json::Value::Object(m)) = attributes {
+            attrs.extend(m);
+        }
         if let Some(ttft) = time_to_first_token_ms {
             attrs.insert("time_to_first_token_ms".to_string(), serde_json::Value::Number(ttft.into()));
         }